@@ -2,14 +2,25 @@ require('dotenv').config();
 
 const express = require('express');
 const axios = require('axios');
+const auth = require('costmanager-shared/auth');
 /*
  * admin-service
  * Responsibilities:
  * - Provide developers team information.
- * - Minimal service used mostly for demonstration.
+ * - Admin surface: users with their totals, roles, disabled accounts and
+ *   system-wide spending stats, backed by users-service and costs-service
+ *   (USERS_URL, COSTS_URL).
+ * Roles are checked here and again by the service that is called, since
+ * the caller's own credentials are passed on.
  */
 const app = express();
 app.use(express.json());
+/*
+ * Authentication:
+ * Every endpoint except the health check needs a user token or an API key
+ * (see ../shared/auth.js).
+ */
+app.use(auth.authenticate({ publicRoutes: ['GET /health'] }));
 /*
  * Log Writer Helper:
  * Sends logs to the central logs-service.
@@ -29,7 +40,7 @@ async function writeLog(method, endpoint, status) {
             endpoint,
             status,
             timestamp: new Date()
-        });
+        }, { headers: auth.serviceHeaders() });
     } catch (e) {
         /*
          * Fault Tolerance:
@@ -76,6 +87,154 @@ app.get('/api/about', async (req, res) => {
         res.status(500).json({ id: 1, message: err.message });
     }
 });
+/*
+ * Service Call Helper:
+ * Calls 'users' or 'costs' service (at USERS_URL / COSTS_URL) with the
+ * caller's own credentials (their token, or
+ * this service's API key for service callers), so that service applies its
+ * own checks as well.
+ * Returns { ok: true, data } or { ok: false, status, error } ready to be
+ * sent back; errors of the called service are passed through unchanged.
+ */
+async function callService(req, service, config) {
+    const baseUrl = process.env[`${service.toUpperCase()}_URL`];
+    if (!baseUrl) {
+        return { ok: false, status: 500, error: { id: 2, message: `${service.toUpperCase()}_URL is not configured` } };
+    }
+    const headers = req.get('Authorization')
+        ? { Authorization: req.get('Authorization') }
+        : auth.serviceHeaders();
+    try {
+        const response = await axios({ ...config, url: baseUrl + config.url, headers });
+        return { ok: true, data: response.data };
+    } catch (e) {
+        if (e.response) return { ok: false, status: e.response.status, error: e.response.data };
+        return { ok: false, status: 500, error: { id: 2, message: `Failed to reach ${service}-service` } };
+    }
+}
+/*
+ * GET /api/admin/users
+ * User Overview (admins and auditors):
+ * Every user with role, account status and spending ({ total, count } in
+ * 'currency', the costs-service base currency by default).
+ * includeDeleted=true also lists soft-deleted users.
+ */
+app.get('/api/admin/users', auth.requireRole('admin', 'auditor'), async (req, res) => {
+    try {
+        const users = await callService(req, 'users', {
+            method: 'get',
+            url: '/api/users',
+            params: { includeDeleted: req.query.includeDeleted }
+        });
+        if (!users.ok) {
+            await writeLog('GET', '/api/admin/users', users.status);
+            return res.status(users.status).json(users.error);
+        }
+        const stats = await callService(req, 'costs', {
+            method: 'get',
+            url: '/api/stats',
+            params: { currency: req.query.currency }
+        });
+        if (!stats.ok) {
+            await writeLog('GET', '/api/admin/users', stats.status);
+            return res.status(stats.status).json(stats.error);
+        }
+        const spending = new Map(stats.data.perUser.map(u => [u.userid, u]));
+        const list = users.data
+            .map(user => {
+                const spent = spending.get(user.id) || { total: 0, count: 0 };
+                return {
+                    id: user.id,
+                    first_name: user.first_name,
+                    last_name: user.last_name,
+                    role: user.role || 'user',
+                    disabled: Boolean(user.disabledAt),
+                    deleted: Boolean(user.deletedAt),
+                    total: spent.total,
+                    count: spent.count
+                };
+            })
+            .sort((a, b) => a.id - b.id);
+
+        await writeLog('GET', '/api/admin/users', 200);
+        return res.json({ currency: stats.data.currency, users: list });
+    } catch (err) {
+        await writeLog('GET', '/api/admin/users', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * PUT /api/admin/users/:id/role
+ * Role Change (admins only):
+ * Sets { role } ('user', 'auditor' or 'admin'); see users-service.
+ */
+app.put('/api/admin/users/:id/role', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const result = await callService(req, 'users', {
+            method: 'put',
+            url: `/api/users/${encodeURIComponent(req.params.id)}/role`,
+            data: { role: req.body && req.body.role }
+        });
+        const status = result.ok ? 200 : result.status;
+
+        await writeLog('PUT', '/api/admin/users/:id/role', status);
+        return res.status(status).json(result.ok ? result.data : result.error);
+    } catch (err) {
+        await writeLog('PUT', '/api/admin/users/:id/role', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * Account Status Helper:
+ * Forwards a disable or enable of the :id user to users-service.
+ */
+async function forwardAccountStatus(req, res, action) {
+    const endpoint = `/api/admin/users/:id/${action}`;
+    try {
+        const result = await callService(req, 'users', {
+            method: 'post',
+            url: `/api/users/${encodeURIComponent(req.params.id)}/${action}`
+        });
+        const status = result.ok ? 200 : result.status;
+
+        await writeLog('POST', endpoint, status);
+        return res.status(status).json(result.ok ? result.data : result.error);
+    } catch (err) {
+        await writeLog('POST', endpoint, 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+}
+/*
+ * POST /api/admin/users/:id/disable
+ * POST /api/admin/users/:id/enable
+ * Account Status (admins only):
+ * A disabled user cannot log in or add costs; their data is kept.
+ */
+app.post('/api/admin/users/:id/disable', auth.requireRole('admin'), (req, res) => forwardAccountStatus(req, res, 'disable'));
+app.post('/api/admin/users/:id/enable', auth.requireRole('admin'), (req, res) => forwardAccountStatus(req, res, 'enable'));
+/*
+ * GET /api/admin/stats
+ * System Stats (admins and auditors):
+ * Spending across all users from costs-service, with optional from, to
+ * and currency (see GET /api/stats there).
+ */
+app.get('/api/admin/stats', auth.requireRole('admin', 'auditor'), async (req, res) => {
+    try {
+        const { from, to, currency } = req.query;
+        const result = await callService(req, 'costs', {
+            method: 'get',
+            url: '/api/stats',
+            params: { from, to, currency }
+        });
+        const status = result.ok ? 200 : result.status;
+
+        await writeLog('GET', '/api/admin/stats', status);
+        return res.status(status).json(result.ok ? result.data : result.error);
+    } catch (err) {
+        await writeLog('GET', '/api/admin/stats', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
 /*
  * Server Startup:
  * Configures the port and starts listening for incoming requests.
@@ -0,0 +1,224 @@
+const Cost = require('./models/Cost');
+const rates = require('./rates');
+const money = require('./money');
+const timezone = require('./timezone');
+/*
+ * Spending Analytics:
+ * Server-side statistics for one user, computed with Mongo aggregations
+ * over a window of months ending with a reference month. The database groups
+ * by currency as well; amounts are converted into the target currency here
+ * and added up exactly in minor units.
+ */
+const AVERAGE_WINDOWS = [3, 6, 12];
+const WINDOW_MONTHS = Math.max(...AVERAGE_WINDOWS);
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+/*
+ * Month Arithmetic:
+ * Returns { year, month } 'delta' months away from the given month.
+ */
+function shiftMonth(year, month, delta) {
+    const d = new Date(Date.UTC(year, month - 1 + delta, 1));
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1 };
+}
+
+function monthKey(year, month) {
+    return `${year}-${String(month).padStart(2, '0')}`;
+}
+/*
+ * Converted Grouping:
+ * Folds aggregation rows ({ _id: { ..., currency }, total, count }) into a
+ * Map of key -> { total, count } in the target currency.
+ */
+function foldRows(rows, keyOf, target) {
+    const out = new Map();
+    rows.forEach(r => {
+        const key = keyOf(r._id);
+        const converted = rates.convertAmount(money.toNumber(r.total), r._id.currency, target.currency, target.table);
+        const current = out.get(key) || { total: 0, count: 0 };
+        out.set(key, {
+            total: money.addAll([current.total, converted], target.currency),
+            count: current.count + r.count
+        });
+    });
+    return out;
+}
+
+function percentOf(part, whole) {
+    return whole === 0 ? 0 : Math.round((part / whole) * 10000) / 100;
+}
+/*
+ * Analytics Builder:
+ * 'year'/'month' is the reference month (a calendar month in 'timeZone'),
+ * 'target' a resolved currency ({ currency, table }) and 'top' the number
+ * of descriptions to return. Returns:
+ * - monthOverMonth: per category, the reference month against the previous one.
+ * - averages: average monthly spending over the last 3, 6 and 12 months
+ *   (months without costs count as zero), in total and per category.
+ * - shares: each category's percentage of the reference month's total.
+ * - topDescriptions / weekdays: most expensive descriptions and the spending
+ *   per day of the week over the whole 12-month window.
+ */
+async function buildAnalytics(userid, year, month, target, timeZone, top) {
+    const first = shiftMonth(year, month, -(WINDOW_MONTHS - 1));
+    const start = timezone.monthWindow(first.year, first.month, timeZone).start;
+    const end = timezone.monthWindow(year, month, timeZone).end;
+    const match = { $match: { userid, createdAt: { $gte: start, $lt: end } } };
+    const local = part => ({ [part]: { date: '$createdAt', timezone: timeZone } });
+    const totals = { total: { $sum: '$sum' }, count: { $sum: 1 } };
+
+    const monthly = await Cost.aggregate([
+        match,
+        {
+            $group: {
+                _id: { year: local('$year'), month: local('$month'), category: '$category', currency: '$currency' },
+                ...totals
+            }
+        }
+    ]);
+    const descriptions = await Cost.aggregate([
+        match,
+        { $group: { _id: { description: '$description', currency: '$currency' }, ...totals } }
+    ]);
+    const weekdays = await Cost.aggregate([
+        match,
+        { $group: { _id: { day: local('$dayOfWeek'), currency: '$currency' }, ...totals } }
+    ]);
+    /*
+     * Month x Category Matrix:
+     * Converted totals keyed by 'YYYY-MM|category'.
+     */
+    const byMonth = foldRows(monthly, id => `${monthKey(id.year, id.month)}|${id.category}`, target);
+    const categories = [...new Set(monthly.map(r => r._id.category))].sort();
+    const amount = (y, m, category) => (byMonth.get(`${monthKey(y, m)}|${category}`) || { total: 0 }).total;
+    const monthTotal = (y, m) => money.addAll(categories.map(c => amount(y, m, c)), target.currency);
+
+    const previous = shiftMonth(year, month, -1);
+    const monthOverMonth = categories.map(category => {
+        const current = amount(year, month, category);
+        const before = amount(previous.year, previous.month, category);
+        return {
+            category,
+            current,
+            previous: before,
+            change: money.addAll([current, -before], target.currency),
+            changePercent: before === 0 ? null : percentOf(current - before, before)
+        };
+    });
+
+    const averages = AVERAGE_WINDOWS.map(months => {
+        const span = Array.from({ length: months }, (_, i) => shiftMonth(year, month, -i));
+        const average = list => money.round(money.addAll(list, target.currency) / months, target.currency);
+        const perCategory = {};
+        categories.forEach(category => {
+            perCategory[category] = average(span.map(m => amount(m.year, m.month, category)));
+        });
+        return { months, total: average(span.map(m => monthTotal(m.year, m.month))), categories: perCategory };
+    });
+
+    const referenceTotal = monthTotal(year, month);
+    const shares = categories
+        .map(category => {
+            const total = amount(year, month, category);
+            return { category, total, percent: percentOf(total, referenceTotal) };
+        })
+        .filter(s => s.total !== 0)
+        .sort((a, b) => b.total - a.total);
+
+    const topDescriptions = [...foldRows(descriptions, id => id.description, target)]
+        .map(([description, v]) => ({ description, count: v.count, total: v.total }))
+        .sort((a, b) => b.total - a.total || b.count - a.count)
+        .slice(0, top);
+
+    const byWeekday = foldRows(weekdays, id => id.day, target);
+    return {
+        window: { from: monthKey(first.year, first.month), to: monthKey(year, month) },
+        monthOverMonth,
+        averages,
+        shares,
+        topDescriptions,
+        weekdays: WEEKDAYS.map((day, i) => {
+            const v = byWeekday.get(i + 1) || { total: 0, count: 0 };
+            return { day, count: v.count, total: v.total };
+        })
+    };
+}
+
+/*
+ * Tag Totals:
+ * Spending per tag for one user, optionally within a createdAt window
+ * (see parseDateWindow in app.js), in the target currency, biggest first.
+ * A cost with several tags counts towards each of them.
+ */
+async function buildTagTotals(userid, createdAt, target) {
+    const match = { userid, tags: { $exists: true, $ne: [] } };
+    if (createdAt) match.createdAt = createdAt;
+
+    const rows = await Cost.aggregate([
+        { $match: match },
+        { $unwind: '$tags' },
+        { $group: { _id: { tag: '$tags', currency: '$currency' }, total: { $sum: '$sum' }, count: { $sum: 1 } } }
+    ]);
+    return [...foldRows(rows, id => id.tag, target)]
+        .map(([tag, v]) => ({ tag, count: v.count, total: v.total }))
+        .sort((a, b) => b.total - a.total || a.tag.localeCompare(b.tag));
+}
+/*
+ * System Stats:
+ * Spending across all users, optionally within a createdAt window, in the
+ * target currency. Months are calendar months in DEFAULT_TIMEZONE.
+ * Returns { total, count, users, categories, perUser, months }; the lists
+ * are biggest first, except months (oldest first).
+ */
+async function buildSystemStats(createdAt, target) {
+    const match = { $match: createdAt ? { createdAt } : {} };
+    const totals = { total: { $sum: '$sum' }, count: { $sum: 1 } };
+    const zone = timezone.DEFAULT_TIMEZONE;
+
+    const byCategory = await Cost.aggregate([
+        match,
+        { $group: { _id: { category: '$category', currency: '$currency' }, ...totals } }
+    ]);
+    const byUser = await Cost.aggregate([
+        match,
+        { $group: { _id: { userid: '$userid', currency: '$currency' }, ...totals } }
+    ]);
+    const byMonth = await Cost.aggregate([
+        match,
+        {
+            $group: {
+                _id: {
+                    year: { $year: { date: '$createdAt', timezone: zone } },
+                    month: { $month: { date: '$createdAt', timezone: zone } },
+                    currency: '$currency'
+                },
+                ...totals
+            }
+        }
+    ]);
+    const biggestFirst = (a, b) => b.total - a.total || b.count - a.count;
+
+    const categories = [...foldRows(byCategory, id => id.category, target)]
+        .map(([category, v]) => ({ category, count: v.count, total: v.total }))
+        .sort(biggestFirst);
+    const perUser = [...foldRows(byUser, id => id.userid, target)]
+        .map(([userid, v]) => ({ userid, count: v.count, total: v.total }))
+        .sort(biggestFirst);
+    const months = [...foldRows(byMonth, id => monthKey(id.year, id.month), target)]
+        .map(([month, v]) => ({ month, count: v.count, total: v.total }))
+        .sort((a, b) => a.month.localeCompare(b.month));
+
+    return {
+        total: money.addAll(categories.map(c => c.total), target.currency),
+        count: categories.reduce((sum, c) => sum + c.count, 0),
+        users: perUser.length,
+        categories,
+        perUser,
+        months
+    };
+}
+
+module.exports = {
+    buildAnalytics,
+    buildTagTotals,
+    buildSystemStats
+};
@@ -0,0 +1,60 @@
+const Cost = require('./models/Cost');
+const rates = require('./rates');
+const money = require('./money');
+/*
+ * Anomaly Detection:
+ * Scores a new cost against the same user's earlier costs in its category.
+ * The score is the sum divided by the median of that history (both in the
+ * new cost's currency); a score of ANOMALY_RATIO (default 10) or more flags
+ * the cost. Unusually small sums are not flagged.
+ */
+const ANOMALY_RATIO = Number(process.env.ANOMALY_RATIO) || 10;
+/*
+ * History Limits:
+ * Only the most recent costs are compared, and too short a history
+ * says nothing about what is usual, so no score is given then.
+ */
+const HISTORY_SIZE = 50;
+const MIN_HISTORY = 5;
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+/*
+ * Cost Scoring:
+ * Returns { score, median, flagged } for a stored cost, or null when the
+ * history is too short to judge. The cost itself is excluded, and only
+ * costs dated up to it count, so a back-dated cost is judged by what came
+ * before it whatever the order the costs were entered in.
+ */
+async function scoreCost(cost) {
+    const history = await Cost.find({
+        userid: cost.userid,
+        category: cost.category,
+        _id: { $ne: cost._id },
+        createdAt: { $lte: cost.createdAt }
+    })
+        .sort({ createdAt: -1 })
+        .limit(HISTORY_SIZE)
+        .lean();
+
+    if (history.length < MIN_HISTORY) return null;
+
+    const currency = cost.currency || rates.BASE_CURRENCY;
+    const table = await rates.getRateTable();
+    const usual = money.round(
+        median(history.map(c => rates.convertAmount(money.toNumber(c.sum), c.currency, currency, table))),
+        currency
+    );
+    if (usual <= 0) return null;
+
+    const score = Math.round((money.toNumber(cost.sum) / usual) * 100) / 100;
+    return { score, median: usual, flagged: score >= ANOMALY_RATIO };
+}
+
+module.exports = {
+    ANOMALY_RATIO,
+    scoreCost
+};
@@ -4,15 +4,34 @@ require('dotenv').config();
  * - express: Web framework for the API.
  * - mongoose: ODM for MongoDB interaction.
  * - axios: HTTP client for communicating with other microservices (users-service, logs-service).
+ * - multer: multipart/form-data parsing for receipt uploads.
+ * - auth: shared API key / JWT authentication (costmanager-shared, see ../shared/auth.js).
+ * - idempotent: Idempotency-Key support for retried POSTs (costmanager-shared, see ../shared/idempotency.js).
  */
 const express = require('express');
 const mongoose = require('mongoose');
 const axios = require('axios');
+const multer = require('multer');
+const auth = require('costmanager-shared/auth');
+const { idempotent } = require('costmanager-shared/idempotency');
 /*
  * costs-service
  * Responsibilities:
- * - Add cost items.
- * - Generate monthly reports.
+ * - Add cost items (one by one or as a bulk import) and income entries.
+ * - List, search, edit and delete cost items.
+ * - Generate monthly, yearly and date-range reports (JSON, CSV or printable HTML).
+ * - Convert amounts between currencies using a local exchange-rate table.
+ * - Generate costs from recurring templates on a schedule.
+ * - Track monthly budgets per category and alert when one is exceeded.
+ * - Track savings goals and project whether they will be met.
+ * - Manage the category catalog (aliases, parents, merging).
+ * - Share expenses in groups and compute who owes whom.
+ * - Apply each user's time zone to cost days and month boundaries.
+ * - Compute spending analytics (trends, averages, shares) and per-tag totals.
+ * - Flag unusually high new costs for review.
+ * - Store receipt files (images, PDFs) attached to cost items.
+ * - Track reimbursement claims (draft, submitted, approved/rejected, paid).
+ * - Restrict users to their own data (user tokens) and trust other services (API keys).
  * - Implement Computed Design Pattern.
  */
 const pino = require('pino');
@@ -20,8 +39,42 @@ const pinoHttp = require('pino-http');
 
 const Cost = require('./models/Cost');
 const Report = require('./models/Report');
+const RecurringCost = require('./models/RecurringCost');
+const Budget = require('./models/Budget');
+const Category = require('./models/Category');
+const Counter = require('costmanager-shared/models/Counter')(mongoose);
+const Group = require('./models/Group');
+const GroupExpense = require('./models/GroupExpense');
+const Receipt = require('./models/Receipt');
+const Income = require('./models/Income');
+const Goal = require('./models/Goal');
+const IdempotencyKey = require('costmanager-shared/models/IdempotencyKey')(mongoose);
+const rates = require('./rates');
+const money = require('./money');
+const scheduler = require('./scheduler');
+const budgets = require('./budgets');
+const analytics = require('./analytics');
+const anomalies = require('./anomalies');
+const search = require('./search');
+const tagging = require('./tags');
+const catalog = require('./categories');
+const { parseCsv, toCsv } = require('./csv');
+const statement = require('./statement');
+const timezone = require('./timezone');
+const splits = require('./splits');
+const receipts = require('./receipts');
+const storage = require('./storage');
+const reimbursements = require('./reimbursements');
+const incomes = require('./income');
+const goals = require('./goals');
 
 const app = express();
+/*
+ * Bulk Import Parsers:
+ * The import endpoint accepts larger bodies and CSV text. Registered before
+ * the global JSON parser, which then skips the already parsed body.
+ */
+app.use('/api/import', express.json({ limit: '5mb' }), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }));
 app.use(express.json());
 /*
  * Pino Logger Configuration:
@@ -38,25 +91,67 @@ app.use(
         }
     })
 );
+/*
+ * Authentication:
+ * Every endpoint except the health check needs a user token or a service
+ * API key (see ../shared/auth.js).
+ */
+app.use(auth.authenticate({ publicRoutes: ['GET /health'] }));
+/*
+ * User Scope:
+ * A user token only reaches the user's own data: a 'userid' in the query or
+ * body (and 'id' on the report and total endpoints, where it is the userid)
+ * must be the caller's. Services and admins are not restricted; auditors
+ * only for reading (see auth.canAccessAll).
+ */
+const FOREIGN_DATA = 'You can only access your own data';
+
+app.use((req, res, next) => {
+    if (auth.canAccessAll(req)) return next();
+    const claimed = [req.query.userid, req.body && req.body.userid];
+    if (req.path === '/api/total' || req.path.startsWith('/api/report')) claimed.push(req.query.id);
+
+    if (claimed.some(v => v != null && v !== '' && Number(v) !== req.auth.userid)) {
+        return res.status(403).json({ id: 403, message: FOREIGN_DATA });
+    }
+    return next();
+});
+/*
+ * Owner Filter:
+ * Narrows a query to the caller's documents: empty when the caller may
+ * access every user's data, { userid } otherwise, so other users' data
+ * reads as not found.
+ */
+function ownedBy(req) {
+    return auth.canAccessAll(req) ? {} : { userid: req.auth.userid };
+}
 /*
  * Date Parsing Helper:
- * Validates strictly formatted date strings (YYYY-MM-DD or YYYY/MM/DD).
- * Returns an object indicating success (ok: true) or failure with a reason.
+ * Validates strictly formatted dates: a calendar day (YYYY-MM-DD or YYYY/MM/DD),
+ * taken as midnight in 'timeZone', or a full ISO timestamp with an offset
+ * (YYYY-MM-DDTHH:MM[:SS[.sss]] followed by Z or +HH:MM), taken as is.
+ * Returns { ok: true, date, hasTime } or { ok: false, reason }.
  */
-function parseStrictDate(input) {
+function parseStrictDate(input, timeZone = timezone.DEFAULT_TIMEZONE) {
     if (input == null || input === '') return { ok: false, reason: 'empty' };
     if (typeof input !== 'string') return { ok: false, reason: 'not_string' };
     /*
      * Regex Validation:
      * Captures Year (group 1), Month (group 2), and Day (group 3).
-     * Supports both hyphen (-) and slash (/) separators.
+     * Supports both hyphen (-) and slash (/) separators for plain days.
+     * A timestamp repeats month and day (groups 4-5) and adds the time
+     * (groups 6-8) and a required offset (group 9): without one the instant
+     * would depend on the server's zone.
      */
-    const m = input.match(/^(\d{4})[-/](\d{2})[-/](\d{2})$/);
+    const m = input.match(
+        /^(\d{4})(?:[-/](\d{2})[-/](\d{2})|-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2}))$/
+    );
     if (!m) return { ok: false, reason: 'bad_format' };
 
+    const hasTime = m[4] != null;
     const year = Number(m[1]);
-    const month = Number(m[2]);
-    const day = Number(m[3]);
+    const month = Number(hasTime ? m[4] : m[2]);
+    const day = Number(hasTime ? m[5] : m[3]);
     /*
      * Logical Range Validation:
      * Ensures month is between 1-12 and day is between 1-31.
@@ -64,34 +159,58 @@ function parseStrictDate(input) {
      */
     if (month < 1 || month > 12) return { ok: false, reason: 'month_range' };
     if (day < 1 || day > 31) return { ok: false, reason: 'day_range' };
-    const d = new Date(year, month - 1, day);
     /*
      * Existence Check:
      * JavaScript's Date creates a valid date for Feb 30 (rolling into March).
      * This check ensures the input date matches the created date object exactly.
      */
+    const check = new Date(Date.UTC(year, month - 1, day));
     const same =
-        d.getFullYear() === year &&
-        (d.getMonth() + 1) === month &&
-        d.getDate() === day;
+        check.getUTCFullYear() === year &&
+        (check.getUTCMonth() + 1) === month &&
+        check.getUTCDate() === day;
 
     if (!same) return { ok: false, reason: 'nonexistent_date' };
-    return { ok: true, date: d };
+
+    if (!hasTime) return { ok: true, date: timezone.zonedMidnight(year, month, day, timeZone), hasTime };
+
+    const [hour, minute, second] = [m[6], m[7], m[8] || '0'].map(Number);
+    const offset = m[9] === 'Z' ? [0, 0] : m[9].slice(1).split(':').map(Number);
+    if (hour > 23 || minute > 59 || second > 59 || offset[0] > 14 || offset[1] > 59) {
+        return { ok: false, reason: 'time_range' };
+    }
+    return { ok: true, date: new Date(input), hasTime };
+}
+/*
+ * Month Parsing Helper:
+ * Validates a 'YYYY-MM' (or 'YYYY/MM') string used by the range reports.
+ * Returns { ok: true, year, month } or { ok: false }.
+ */
+function parseYearMonth(input) {
+    const m = typeof input === 'string' ? input.match(/^(\d{4})[-/](\d{2})$/) : null;
+    if (!m) return { ok: false };
+
+    const year = Number(m[1]);
+    const month = Number(m[2]);
+    if (month < 1 || month > 12) return { ok: false };
+    return { ok: true, year, month };
 }
 /*
  * Log Writer (Async):
  * Sends logs to the centralized 'logs-service'.
  * Designed to be 'fire-and-forget' so it doesn't block the main flow.
+ * 'message' is optional and carries details such as budget alerts.
  */
-async function writeLog(method, endpoint, status) {
+async function writeLog(method, endpoint, status, message) {
     try {
         await axios.post(process.env.LOGS_URL + '/api/logs', {
             service: 'costs',
             method,
             endpoint,
             status,
+            message,
             timestamp: new Date()
-        });
+        }, { headers: auth.serviceHeaders() });
     } catch (e) {
         /*
          * Error Suppression:
@@ -100,6 +219,311 @@ async function writeLog(method, endpoint, status) {
          */
     }
 }
+/*
+ * Cost Input Validation:
+ * Shared by the add and edit handlers so every write applies the same rules.
+ * When 'partial' is true (PATCH), only the fields present in the body are checked.
+ * Returns { ok: true, fields, localDay } or { ok: false, message }; 'localDay'
+ * is true when createdAt was a plain day (see createdAtInZone).
+ */
+function validateCostInput(body, partial = false) {
+    const src = body || {};
+    const wants = key => !partial || src[key] !== undefined;
+    const fields = {};
+    let localDay = false;
+    /*
+     * Date Handling:
+     * An optional createdAt goes through strict validation.
+     * Callers decide the default when it is omitted.
+     */
+    if (src.createdAt != null && src.createdAt !== '') {
+        const parsed = parseStrictDate(src.createdAt);
+        if (!parsed.ok) {
+            return { ok: false, message: 'createdAt is invalid (YYYY-MM-DD or ISO timestamp with offset)' };
+        }
+        fields.createdAt = parsed.date;
+        localDay = !parsed.hasTime;
+    }
+    /*
+     * Input Extraction:
+     * Explicitly casting numbers to ensure type safety before processing.
+     */
+    if (wants('userid')) fields.userid = Number(src.userid);
+    if (wants('category')) {
+        fields.category = (src.category == null) ? '' : String(src.category).trim().toLowerCase();
+    }
+    if (wants('description')) fields.description = src.description;
+    /*
+     * Tags & Metadata:
+     * Optional; when sent they replace the stored values ([] / {} clear them).
+     */
+    if (src.tags != null && src.tags !== '') {
+        const parsed = tagging.parseTags(src.tags);
+        if (!parsed.ok) return { ok: false, message: parsed.message };
+        fields.tags = parsed.tags;
+    }
+    if (src.metadata != null && src.metadata !== '') {
+        const parsed = tagging.parseMetadata(src.metadata);
+        if (!parsed.ok) return { ok: false, message: parsed.message };
+        fields.metadata = parsed.metadata;
+    }
+    /*
+     * Currency:
+     * Optional three-letter code, stored upper-case.
+     * Whether a rate exists for it is checked by the caller.
+     */
+    if (src.currency != null && src.currency !== '') {
+        if (!rates.isCurrencyCode(src.currency)) {
+            return { ok: false, message: 'currency must be a 3-letter code' };
+        }
+        fields.currency = src.currency.toUpperCase();
+    }
+    /*
+     * Sum:
+     * Parsed as an exact decimal string. The allowed number of decimal
+     * places depends on the currency (the base currency when none is given).
+     */
+    let amount = null;
+    if (wants('sum')) {
+        amount = money.parseAmount(src.sum, fields.currency || rates.BASE_CURRENCY);
+        if (amount.ok) fields.sum = amount.value;
+    }
+    /*
+     * Field Validation:
+     * Checks for missing values or invalid number formats (NaN).
+     */
+    const badDescription = 'description' in fields &&
+        (!fields.description || String(fields.description).trim() === '');
+
+    const badSum = amount != null && !amount.ok && amount.reason !== 'too_many_decimals';
+
+    if (Number.isNaN(fields.userid) || badSum || fields.category === '' || badDescription) {
+        return { ok: false, message: 'Missing required fields' };
+    }
+    // userid must be positive
+    if ('userid' in fields && fields.userid < 1) {
+        return { ok: false, message: 'userid must be a number >= 1' };
+    }
+    if (amount != null && !amount.ok) {
+        const digits = money.decimalsFor(fields.currency || rates.BASE_CURRENCY);
+        return { ok: false, message: `sum allows at most ${digits} decimal places` };
+    }
+    // We do not allow zero or negative expenses in this system.
+    if ('sum' in fields && Number(fields.sum) <= 0) {
+        return { ok: false, message: 'sum must be greater than 0' };
+    }
+    return { ok: true, fields, localDay };
+}
+/*
+ * Owner's Calendar Day:
+ * Validation parses a plain-day createdAt in the default zone; once the
+ * owner's zone is known it becomes midnight of that day in the owner's zone.
+ * Timestamps (and a missing createdAt) are returned unchanged.
+ */
+function createdAtInZone(input, timeZone) {
+    const { createdAt } = input.fields;
+    if (!createdAt || !input.localDay) return createdAt;
+    return timezone.sameDayIn(createdAt, timezone.DEFAULT_TIMEZONE, timeZone);
+}
+/*
+ * User Validation (Microservice Call):
+ * Checks if the user exists by querying the external users-service.
+ * Returns { ok: true, timeZone, monthStartDay } (the user's zone, see
+ * timezone.resolve, and budgeting month start day, 1 by default)
+ * or { ok: false, status, error } ready to be sent back; a disabled
+ * account counts as unusable (403).
+ */
+async function checkUserExists(userid) {
+    if (!process.env.USERS_URL) {
+        return { ok: false, status: 500, error: { id: 2, message: 'USERS_URL is not configured' } };
+    }
+    try {
+        const response = await axios.get(process.env.USERS_URL + '/api/users/' + userid, {
+            headers: auth.serviceHeaders()
+        });
+        if (response.data && response.data.disabled) {
+            return { ok: false, status: 403, error: { id: 403, message: 'User account is disabled' } };
+        }
+        const data = response.data || {};
+        return {
+            ok: true,
+            timeZone: timezone.resolve(data.timezone),
+            monthStartDay: Number.isInteger(data.month_start_day) ? data.month_start_day : 1
+        };
+    } catch (e) {
+        /*
+         * Axios Error Handling:
+         * Distinguishes between a 404 (User not found) and other errors
+         * (Network issues, service down) to return the correct status code.
+         */
+        if (e.response && e.response.status === 404) {
+            return { ok: false, status: 400, error: { id: 400, message: 'User does not exist' } };
+        }
+        return { ok: false, status: 500, error: { id: 2, message: 'Failed to validate user' } };
+    }
+}
+/*
+ * Cursor Helpers (Pagination):
+ * A cursor is an opaque base64url token holding the sort key, the sort value
+ * of the last returned item (a timestamp, or the sum as a decimal string)
+ * and its _id (used as a tie-breaker).
+ * decodeCursor returns null when the token is malformed.
+ */
+function encodeCursor(sort, doc) {
+    const value = sort === 'createdAt' ? new Date(doc.createdAt).getTime() : String(doc.sum);
+    const payload = { s: sort, v: value, i: String(doc._id) };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(token) {
+    try {
+        const payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+        const validValue = payload && (payload.s === 'createdAt'
+            ? typeof payload.v === 'number'
+            : typeof payload.v === 'string' && /^-?\d+(\.\d+)?$/.test(payload.v));
+        if (!validValue || !mongoose.isValidObjectId(payload.i)) {
+            return null;
+        }
+        return payload;
+    } catch (e) {
+        return null;
+    }
+}
+/*
+ * Regex Escaping:
+ * Makes user supplied text safe to embed in a MongoDB $regex.
+ */
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+/*
+ * Report Invalidation (Computed Pattern):
+ * Drops the cached report of the month a cost belongs to, so the next
+ * GET /api/report recomputes it. Only past months are ever cached, so for
+ * the current month this is a harmless no-op. The month depends on the
+ * user's zone, so every month the instant can fall in is dropped, and so is
+ * the month after each, which holds the instant when the user's budgeting
+ * month starts after the 1st (see timezone.monthWindow).
+ */
+async function invalidateReport(userid, createdAt) {
+    const months = [];
+    timezone.candidateMonths(createdAt).forEach(({ year, month }) => {
+        months.push({ year, month }, month === 12 ? { year: year + 1, month: 1 } : { year, month: month + 1 });
+    });
+    await Report.deleteMany({ userid, $or: months });
+}
+/*
+ * Generated Cost Hook:
+ * Called by the recurring scheduler for every cost it creates,
+ * so back-filled past months do not keep a stale cached report.
+ */
+async function onCostGenerated(cost) {
+    await invalidateReport(cost.userid, cost.createdAt);
+}
+/*
+ * Budget Alert:
+ * After a cost is stored, reports a budget it pushed over the limit:
+ * an entry in logs-service and, if BUDGET_WEBHOOK_URL is configured,
+ * a POST to that webhook. Failures never affect the request.
+ * The budget month follows the owner's { timeZone, monthStartDay }
+ * (looked up when omitted), like the monthly report.
+ */
+async function notifyBudgetExceeded(cost, settings) {
+    try {
+        const { timeZone, monthStartDay } = settings || await fetchUserSettings(cost.userid);
+        const crossed = await budgets.findCrossedBudget(cost, timeZone, monthStartDay);
+        if (!crossed) return;
+
+        const message = `Budget exceeded: user ${crossed.userid}, ${crossed.category} ` +
+            `${crossed.year}-${String(crossed.month).padStart(2, '0')}, ` +
+            `spent ${crossed.spent} of ${crossed.budget} ${crossed.currency}`;
+        await writeLog('POST', '/api/add', 201, message);
+
+        if (process.env.BUDGET_WEBHOOK_URL) {
+            await axios.post(process.env.BUDGET_WEBHOOK_URL, { type: 'budget_exceeded', ...crossed });
+        }
+    } catch (e) {
+        /* Alerts are best effort, like logging. */
+    }
+}
+/*
+ * Anomaly Check:
+ * Scores a newly added cost against the user's history in its category.
+ * A flagged cost keeps the score on its 'anomaly' field and an entry is
+ * written to logs-service. Returns a warning message for the response, or
+ * null. Like budget alerts, failures never affect the request.
+ */
+async function flagAnomaly(cost) {
+    try {
+        const result = await anomalies.scoreCost(cost);
+        if (!result || !result.flagged) return null;
+
+        cost.anomaly = { score: result.score, median: result.median };
+        await cost.save();
+
+        const currency = cost.currency || rates.BASE_CURRENCY;
+        const message = `Anomaly: user ${cost.userid}, ${cost.category} cost ${cost.id} of ` +
+            `${money.toNumber(cost.sum)} ${currency} is ${result.score}x the usual ${result.median} ${currency}`;
+        await writeLog('POST', '/api/add', 201, message);
+        return message;
+    } catch (e) {
+        return null;
+    }
+}
+/*
+ * User Settings:
+ * Reads the preferences of a user from users-service.
+ * Returns { currency, timeZone, locale, monthStartDay, reportCategories };
+ * currency is null when the user has none or the service cannot be reached
+ * (callers fall back to the base currency) and timeZone falls back to
+ * DEFAULT_TIMEZONE the same way. Without preferences the locale is null,
+ * the month starts on the 1st and reportCategories is empty.
+ */
+async function fetchUserSettings(userid) {
+    const settings = {
+        currency: null,
+        timeZone: timezone.DEFAULT_TIMEZONE,
+        locale: null,
+        monthStartDay: 1,
+        reportCategories: []
+    };
+    if (!process.env.USERS_URL) return settings;
+    try {
+        const response = await axios.get(process.env.USERS_URL + '/api/users/' + userid, {
+            headers: auth.serviceHeaders()
+        });
+        const data = response.data || {};
+        return {
+            currency: data.currency || null,
+            timeZone: timezone.resolve(data.timezone),
+            locale: data.locale || null,
+            monthStartDay: Number.isInteger(data.month_start_day) ? data.month_start_day : 1,
+            reportCategories: Array.isArray(data.report_categories) ? data.report_categories : []
+        };
+    } catch (e) {
+        return settings;
+    }
+}
+/*
+ * Target Currency Resolution:
+ * Picks the currency a report or total is returned in: the requested one,
+ * else the fallback (e.g. the user's default), else the base currency.
+ * Returns { ok: true, currency, table } or { ok: false, message }.
+ */
+async function resolveCurrency(requested, fallback) {
+    const table = await rates.getRateTable();
+
+    if (requested != null && requested !== '') {
+        if (!rates.isCurrencyCode(requested) || table[requested.toUpperCase()] == null) {
+            return { ok: false, message: 'Unknown currency' };
+        }
+        return { ok: true, currency: requested.toUpperCase(), table };
+    }
+    const currency = (typeof fallback === 'string' && table[fallback.toUpperCase()] != null)
+        ? fallback.toUpperCase()
+        : rates.BASE_CURRENCY;
+    return { ok: true, currency, table };
+}
 /*
  * MongoDB Connection:
  * Connects to the database using the URI from environment variables.
@@ -107,7 +531,48 @@ async function writeLog(method, endpoint, status) {
  */
 mongoose
     .connect(process.env.MONGODB_URI)
-    .then(() => console.log('MongoDB connected (costs-service)'))
+    .then(async () => {
+        console.log('MongoDB connected (costs-service)');
+        /*
+         * Category Catalog:
+         * Seed the default categories on first start.
+         */
+        try {
+            await catalog.seedDefaults();
+        } catch (e) {
+            console.error('Failed to seed categories:', e.message);
+        }
+        /*
+         * Report Cache Index:
+         * Brings the Report indexes in line with the model, replacing the
+         * older unique (userid, year, month) key. Reports are only a cache,
+         * so nothing is lost if a duplicate has to go.
+         */
+        try {
+            await Report.syncIndexes();
+        } catch (e) {
+            console.error('Failed to sync report indexes:', e.message);
+        }
+        /*
+         * Exchange Rates:
+         * Optionally (re)load the rate table from a local JSON/CSV file.
+         */
+        if (process.env.RATES_FILE) {
+            try {
+                const count = await rates.loadRatesFile(process.env.RATES_FILE);
+                console.log(`Loaded ${count} exchange rates from ${process.env.RATES_FILE}`);
+            } catch (e) {
+                console.error('Failed to load exchange rates:', e.message);
+            }
+        }
+        /*
+         * Recurring Scheduler:
+         * Materializes due recurring costs now and then periodically
+         * (RECURRING_INTERVAL_MS, default one hour).
+         */
+        const interval = Number(process.env.RECURRING_INTERVAL_MS) || 60 * 60 * 1000;
+        scheduler.startScheduler(interval, onCostGenerated);
+    })
     .catch(err => console.error('MongoDB connection error:', err));
 /*
  * Health Check Endpoint:
@@ -121,105 +586,71 @@ app.get('/health', (req, res) => {
  * addCost (POST /api/add):
  * Entry point for creating new expenses.
  * Handles parameter extraction, validation, and microservice communication.
+ * An Idempotency-Key header makes a retried request return the first
+ * response instead of adding the cost twice.
  */
-app.post('/api/add', async (req, res) => {
+app.post('/api/add', idempotent(IdempotencyKey), async (req, res) => {
     try {
         /*
-         * Input Extraction:
-         * Explicitly casting numbers to ensure type safety before processing.
-         */
-        const userid = Number(req.body.userid);
-        const sum = Number(req.body.sum);
-        const rawCategory = req.body.category;
-        const category = (rawCategory == null) ? '' : String(rawCategory).trim().toLowerCase();
-        const description = req.body.description;
-        /*
-         * Date Handling:
-         * Defaults to current time (Date.now).
-         * If a custom date is provided, it goes through strict validation.
+         * Validation:
+         * Extracts and checks all fields using the shared rules.
+         * Returns 400 with the first failing rule.
          */
-        let createdAt = new Date();
-
-        if (req.body.createdAt != null && req.body.createdAt !== '') {
-            const parsed = parseStrictDate(req.body.createdAt);
+        const input = validateCostInput(req.body);
 
-            if (!parsed.ok) {
-                await writeLog('POST', '/api/add', 400);
-                return res.status(400).json({
-                    id: 400,
-                    message: 'createdAt is invalid (YYYY-MM-DD)',
-                });
-            }
-            createdAt = parsed.date;
-        }
-        /*
-         * Field Validation:
-         * Checks for missing values or invalid number formats (NaN).
-         * Ensures data integrity before reaching the database.
-         */
-        if (Number.isNaN(userid) || Number.isNaN(sum) || !category || !description || description.trim() === '')
-        {
+        if (!input.ok) {
             await writeLog('POST', '/api/add', 400);
             return res.status(400).json({
                 id: 400,
-                message: 'Missing required fields',
+                message: input.message
             });
         }
-        // userid must be positive
-        if (userid < 1) {
+        const { userid, sum, description } = input.fields;
+        /*
+         * Category Catalog:
+         * Aliases are stored under their canonical name; in strict mode
+         * unknown categories are rejected.
+         */
+        const categoryCheck = await catalog.checkCategory(input.fields.category);
+
+        if (!categoryCheck.ok) {
             await writeLog('POST', '/api/add', 400);
             return res.status(400).json({
                 id: 400,
-                message: 'userid must be a number >= 1'
+                message: categoryCheck.message
             });
         }
+        const category = categoryCheck.category;
         /*
-         * Validation - Logic:
-         * Ensure the sum is a positive number.
-         * We do not allow zero or negative expenses in this system.
+         * Currency Default:
+         * Base currency when no currency was provided.
          */
-        if (sum <= 0) {
+        const currency = input.fields.currency || rates.BASE_CURRENCY;
+        const table = await rates.getRateTable();
+
+        if (table[currency] == null) {
             await writeLog('POST', '/api/add', 400);
             return res.status(400).json({
                 id: 400,
-                message: 'sum must be greater than 0'
+                message: 'Unknown currency'
             });
         }
         /*
          * User Validation (Microservice Call):
-         * Checks if the user exists by querying the external users-service.
-         * Fails if the configuration URL is missing.
-         */
-        if (!process.env.USERS_URL) {
-            await writeLog('POST', '/api/add', 500);
-            return res.status(500).json({
-                id: 2,
-                message: 'USERS_URL is not configured'
-            });
-        }
-        try {
-            // We only need to know if user exists
-            await axios.get(process.env.USERS_URL + '/api/users/' + userid);
-        } catch (e) {
-            /*
-             * Axios Error Handling:
-             * Distinguishes between a 404 (User not found) and other errors
-             * (Network issues, service down) to return the correct status code.
-             */
-            if (e.response && e.response.status === 404) {
-                await writeLog('POST', '/api/add', 400);
-                return res.status(400).json({
-                    id: 400,
-                    message: 'User does not exist'
-                });
-            }
-            // other errors (users-service down, etc.)
-            await writeLog('POST', '/api/add', 500);
-            return res.status(500).json({
-                id: 2,
-                message: 'Failed to validate user'
-            });
+         * Fails if the user does not exist or users-service is unreachable.
+         */
+        const userCheck = await checkUserExists(userid);
+
+        if (!userCheck.ok) {
+            await writeLog('POST', '/api/add', userCheck.status);
+            return res.status(userCheck.status).json(userCheck.error);
         }
+        /*
+         * Date Default:
+         * A plain day is midnight in the user's zone; current time (Date.now)
+         * when no createdAt was provided.
+         */
+        const createdAt = createdAtInZone(input, userCheck.timeZone) || new Date();
         /*
          * DB Insertion:
          * Creates the document in MongoDB using the Mongoose model.
@@ -228,12 +659,24 @@ app.post('/api/add', async (req, res) => {
         const cost = await Cost.create({
             userid,
             sum,
+            currency,
             category,
             description,
             createdAt,
+            tags: input.fields.tags,
+            metadata: input.fields.metadata
         });
+        // A cost dated in a past month must not be hidden by a cached report.
+        await invalidateReport(userid, createdAt);
+        await notifyBudgetExceeded(cost, { timeZone: userCheck.timeZone, monthStartDay: userCheck.monthStartDay });
+        /*
+         * Anomaly Warning:
+         * An unusually high sum is still stored; the response carries a warning.
+         */
+        const warning = await flagAnomaly(cost);
+
         await writeLog('POST', '/api/add', 201);
-        return res.status(201).json(cost);
+        return res.status(201).json(warning ? { ...cost.toJSON(), warning } : cost);
 
     } catch (err) {
         /*
@@ -248,163 +691,2841 @@ app.post('/api/add', async (req, res) => {
     }
 });
 /*
- * GET /api/report
- * Computed Design Pattern Implementation:
- * Retrieves monthly reports. If the report is for a past month,
- * it checks the cache (Report model) first before calculating.
+ * POST /api/import
+ * Bulk Cost Import:
+ * Accepts a JSON array of cost objects (or { costs: [...] }) or CSV text
+ * (Content-Type text/csv) with a header line using the /api/add field names.
+ * Every row is validated with the same rules as POST /api/add; each distinct
+ * userid is checked against users-service only once. Valid rows are inserted
+ * in a single batch and invalid ones are reported per row (1-based).
+ * With dryRun=true nothing is inserted.
  */
-app.get('/api/report', async (req, res) => {
+const MAX_IMPORT_ROWS = 5000;
+
+app.post('/api/import', async (req, res) => {
     try {
-        const userid = Number(req.query.userid ?? req.query.id);
-        const year = Number(req.query.year);
-        const month = Number(req.query.month);
+        const dryRun = req.query.dryRun === 'true';
         /*
-         * Query Parameter Validation:
-         * Ensures all necessary parameters are present and are valid numbers.
+         * Body Parsing:
+         * CSV arrives as text, JSON as an already parsed array or object.
          */
-        if (Number.isNaN(userid) || Number.isNaN(year) || Number.isNaN(month)) {
-            return res.status(400).json({
-                id: 400,
-                message: 'id, year, month are required and must be numbers'
-            });
+        let rows;
+        if (typeof req.body === 'string') {
+            rows = parseCsv(req.body);
+        } else if (Array.isArray(req.body)) {
+            rows = req.body;
+        } else if (req.body && Array.isArray(req.body.costs)) {
+            rows = req.body.costs;
         }
-        if (month < 1 || month > 12) {
-            return res.status(400).json({ id: 400, message: 'month must be 1-12' });
+        if (!rows || rows.length === 0) {
+            await writeLog('POST', '/api/import', 400);
+            return res.status(400).json({ id: 400, message: 'Body must be a non-empty JSON array or CSV' });
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            await writeLog('POST', '/api/import', 400);
+            return res.status(400).json({ id: 400, message: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` });
         }
         /*
-         * Past Month Detection:
-         * Calculates if the requested report is strictly in the past.
-         * This determines if we can use the cached report or must calculate fresh data.
+         * Row Validation:
+         * Field rules first; the catalog, the rate table and the users are
+         * looked up once and shared by all rows.
          */
-        const now = new Date();
-        const currentYear = now.getFullYear();
-        const currentMonth = now.getMonth() + 1;
+        const errors = [];
+        const candidates = [];
+        const table = await rates.getRateTable();
+        const categoryCache = new Map();
 
-        const isPast = (year < currentYear) || (year === currentYear && month < currentMonth);
-        /*
-         * Cache Lookup (Computed Pattern):
-         * If it's a past month, try to find a pre-computed report.
-         * If found, return it immediately to save processing power.
-         */
-        if (isPast) {
-            const cached = await Report.findOne({ userid: userid, year, month }).lean();
-            if (cached) {
-                return res.json({
-                    userid: cached.userid,
-                    year: cached.year,
-                    month: cached.month,
-                    costs: cached.costs
-                });
+        for (let i = 0; i < rows.length; i++) {
+            const input = validateCostInput(rows[i]);
+            if (!input.ok) {
+                errors.push({ row: i + 1, message: input.message });
+                continue;
+            }
+            if (!auth.canAccessUser(req, input.fields.userid)) {
+                errors.push({ row: i + 1, message: FOREIGN_DATA });
+                continue;
+            }
+            const currency = input.fields.currency || rates.BASE_CURRENCY;
+            if (table[currency] == null) {
+                errors.push({ row: i + 1, message: 'Unknown currency' });
+                continue;
+            }
+            if (!categoryCache.has(input.fields.category)) {
+                categoryCache.set(input.fields.category, await catalog.checkCategory(input.fields.category));
+            }
+            const categoryCheck = categoryCache.get(input.fields.category);
+            if (!categoryCheck.ok) {
+                errors.push({ row: i + 1, message: categoryCheck.message });
+                continue;
             }
+            candidates.push({
+                row: i + 1,
+                input,
+                doc: {
+                    ...input.fields,
+                    category: categoryCheck.category,
+                    currency
+                }
+            });
+        }
+        const userChecks = new Map();
+        for (const userid of new Set(candidates.map(c => c.doc.userid))) {
+            userChecks.set(userid, await checkUserExists(userid));
         }
+        const valid = candidates.filter(c => {
+            const check = userChecks.get(c.doc.userid);
+            if (!check.ok) errors.push({ row: c.row, message: check.error.message });
+            // Plain days are midnight in the row owner's zone.
+            if (check.ok) c.doc.createdAt = createdAtInZone(c.input, check.timeZone) || new Date();
+            return check.ok;
+        });
+        errors.sort((a, b) => a.row - b.row);
         /*
-         * Report Calculation:
-         * Define the start and end dates for the database query.
-         * 'start' is the 1st of the month, 'end' is the 1st of the NEXT month.
+         * Batch Insert:
+         * Public ids are reserved as one block so the batch needs a single
+         * counter update; affected months get their cached reports dropped.
          */
-        const start = new Date(year, month - 1, 1);
-        const end = new Date(year, month, 1);
+        let inserted = 0;
+        if (!dryRun && valid.length > 0) {
+            const lastId = await Counter.next('costs', valid.length);
+            const docs = valid.map((c, i) => ({ ...c.doc, id: lastId - valid.length + 1 + i }));
+            await Cost.insertMany(docs);
+            inserted = docs.length;
 
-        const costsDocs = await Cost.find({
-            userid: userid,
-            createdAt: { $gte: start, $lt: end }
-        }).lean();
+            const months = new Map();
+            docs.forEach(d => {
+                months.set(`${d.userid}:${JSON.stringify(timezone.candidateMonths(d.createdAt))}`, d);
+            });
+            for (const d of months.values()) {
+                await invalidateReport(d.userid, d.createdAt);
+            }
+        }
+        const status = dryRun ? 200 : (inserted > 0 ? 201 : 400);
+        await writeLog('POST', '/api/import', status);
+        return res.status(status).json({
+            ...(status === 400 && { id: 400, message: 'No valid rows to import' }),
+            dryRun,
+            total: rows.length,
+            valid: valid.length,
+            inserted,
+            errors
+        });
+    } catch (err) {
+        await writeLog('POST', '/api/import', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * Date Window Helper:
+ * Turns the optional 'from'/'to' query values into a createdAt condition.
+ * Plain days are taken in the user's zone (DEFAULT_TIMEZONE without a
+ * userid) and 'to' includes its whole day; timestamps with an offset are
+ * exact bounds. Returns { ok: true, createdAt } or { ok: false, message }.
+ */
+async function parseDateWindow(query, userid) {
+    const zone = userid != null ? (await fetchUserSettings(userid)).timeZone : timezone.DEFAULT_TIMEZONE;
+    const createdAt = {};
+
+    if (query.from != null) {
+        const from = parseStrictDate(query.from, zone);
+        if (!from.ok) return { ok: false, message: 'from is invalid (YYYY-MM-DD or ISO timestamp)' };
+        createdAt.$gte = from.date;
+    }
+    if (query.to != null) {
+        const to = parseStrictDate(query.to, zone);
+        if (!to.ok) return { ok: false, message: 'to is invalid (YYYY-MM-DD or ISO timestamp)' };
+        if (to.hasTime) {
+            createdAt.$lte = to.date;
+        } else {
+            // A plain 'to' day is inclusive, so the window ends at the start of the following day.
+            const day = timezone.zonedParts(to.date, zone);
+            createdAt.$lt = timezone.zonedMidnight(day.year, day.month, day.day + 1, zone);
+        }
+    }
+    return { ok: true, createdAt };
+}
+/*
+ * GET /api/costs
+ * Cost Listing:
+ * Returns raw cost items (not grouped like the report) with optional filters:
+ * userid, from/to (YYYY-MM-DD days in the user's zone, inclusive, or ISO
+ * timestamps), category, minSum/maxSum, q (case-insensitive text in the description),
+ * tags (comma separated, all must be present) and meta.<key>=<value>.
+ * Sorted by 'createdAt' (default) or 'sum', order 'desc' (default) or 'asc'.
+ * Pages through results with 'limit' (default 50, max 200) and an opaque 'cursor'
+ * taken from the previous page's 'nextCursor'.
+ * A user token only ever lists the caller's costs.
+ */
+app.get('/api/costs', async (req, res) => {
+    try {
+        const q = req.query;
+        const filter = {};
         /*
-         * Category Management:
-         * Merges hardcoded fixed categories with any dynamic categories
-         * found in the retrieved documents to ensure complete coverage.
+         * Filter Parsing:
+         * Every filter is optional, but a provided filter must be valid.
          */
-        const FIXED_CATEGORIES = ['food', 'health', 'housing', 'sports', 'education'];
-        const dynamicCategories = [...new Set(costsDocs.map(c => c.category))];
-
-        const categories = [
-            ...FIXED_CATEGORIES,
-            ...dynamicCategories.filter(c => !FIXED_CATEGORIES.includes(c))
-        ];
+        if (q.userid != null) {
+            const userid = Number(q.userid);
+            if (Number.isNaN(userid)) {
+                return res.status(400).json({ id: 400, message: 'userid must be a number' });
+            }
+            filter.userid = userid;
+        }
+        Object.assign(filter, ownedBy(req));
+        if (q.from != null || q.to != null) {
+            const window = await parseDateWindow(q, filter.userid);
+            if (!window.ok) return res.status(400).json({ id: 400, message: window.message });
+            filter.createdAt = window.createdAt;
+        }
+        if (q.category != null && q.category !== '') {
+            filter.category = (await catalog.resolve(q.category)) || catalog.normalize(q.category);
+        }
+        if (q.minSum != null || q.maxSum != null) {
+            const minSum = q.minSum != null ? Number(q.minSum) : null;
+            const maxSum = q.maxSum != null ? Number(q.maxSum) : null;
+            if (Number.isNaN(minSum) || Number.isNaN(maxSum)) {
+                return res.status(400).json({ id: 400, message: 'minSum and maxSum must be numbers' });
+            }
+            filter.sum = {};
+            if (minSum != null) filter.sum.$gte = minSum;
+            if (maxSum != null) filter.sum.$lte = maxSum;
+        }
+        if (q.q != null && String(q.q).trim() !== '') {
+            filter.description = { $regex: escapeRegex(String(q.q).trim()), $options: 'i' };
+        }
+        const tagFilter = tagging.buildFilter(q);
+        if (!tagFilter.ok) return res.status(400).json({ id: 400, message: tagFilter.message });
+        Object.assign(filter, tagFilter.filter);
         /*
-         * Grouping Initialization:
-         * Creates an empty array for every category to prepare for
-         * sorting the cost items.
+         * Sorting & Page Size:
+         * _id is always the secondary key so the order is stable between pages.
          */
-        const grouped = {};
-        categories.forEach(cat => {
-            grouped[cat] = [];
-        });
+        const sort = q.sort || 'createdAt';
+        const order = q.order || 'desc';
+        if (!['createdAt', 'sum'].includes(sort) || !['asc', 'desc'].includes(order)) {
+            return res.status(400).json({ id: 400, message: 'sort must be createdAt|sum and order asc|desc' });
+        }
+        const limit = q.limit != null ? Number(q.limit) : 50;
+        if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+            return res.status(400).json({ id: 400, message: 'limit must be an integer between 1 and 200' });
+        }
+        const dir = order === 'asc' ? 1 : -1;
         /*
-         * Data Transformation:
-         * Iterates over raw cost documents and pushes simplified objects
-         * (sum, description, day) into their respective category buckets.
+         * Cursor Continuation:
+         * Continue strictly after the last item of the previous page:
+         * a later sort value, or the same value with a later _id.
          */
-        costsDocs.forEach(c => {
-            if (!grouped[c.category]) grouped[c.category] = [];  // Safety check
-            grouped[c.category].push({
-                sum: c.sum,
-                description: c.description,
-                day: new Date(c.createdAt).getDate()
+        const conditions = [filter];
+        if (q.cursor != null) {
+            const cursor = decodeCursor(q.cursor);
+            if (!cursor || cursor.s !== sort) {
+                return res.status(400).json({ id: 400, message: 'Invalid cursor' });
+            }
+            const op = dir === 1 ? '$gt' : '$lt';
+            const value = sort === 'createdAt' ? new Date(cursor.v) : money.toDecimal128(cursor.v);
+            const lastId = new mongoose.Types.ObjectId(cursor.i);
+            conditions.push({
+                $or: [
+                    { [sort]: { [op]: value } },
+                    { [sort]: value, _id: { [op]: lastId } }
+                ]
             });
-        });
+        }
         /*
-         * Final Formatting:
-         * Maps the grouped object into the array structure required by the API spec.
+         * Query Execution:
+         * Fetch one extra document to know whether another page exists.
          */
-        const costsArr = categories.map(cat => ({
-            [cat]: grouped[cat]
-        }));
+        const docs = await Cost.find(conditions.length > 1 ? { $and: conditions } : filter)
+            .sort({ [sort]: dir, _id: dir })
+            .limit(limit + 1)
+            .lean();
 
-        const reportJson = {
-            userid,
-            year,
-            month,
-            costs: costsArr
-        };
-        /*
-         * Cache Update (Computed Pattern):
-         * If this was a past month (and wasn't in cache initially),
-         * save the calculated report to the DB for future requests.
-         */
-        if (isPast) {
-            await Report.updateOne(
-                { userid, year, month },
-                { $set: { costs: costsArr } },
-                { upsert: true }
-            );
-        }
-        return res.json(reportJson);
+        const hasMore = docs.length > limit;
+        const page = hasMore ? docs.slice(0, limit) : docs;
+        const nextCursor = hasMore ? encodeCursor(sort, page[page.length - 1]) : null;
+
+        const costs = page.map(({ _id, __v, ...cost }) => ({ ...cost, sum: money.toNumber(cost.sum) }));
+
+        await writeLog('GET', '/api/costs', 200);
+        return res.json({ costs, nextCursor });
     } catch (err) {
+        await writeLog('GET', '/api/costs', 500);
         return res.status(500).json({ id: 2, message: err.message });
     }
 });
 /*
- * GET /api/total
- * Aggregation Endpoint:
- * Calculates the sum of all costs for a specific user.
- * Typically used by the users-service to show total expenses.
+ * GET /api/search
+ * Full-Text Search:
+ * Finds a user's costs whose description (or category) matches 'q', using
+ * the text index, best matches first. Optional filters: from/to (as in
+ * GET /api/costs) and category. Every result carries its relevance 'score'
+ * and 'highlight', the HTML-escaped description with the matched words in
+ * <mark> (null when only the category matched). Up to 'limit' results
+ * (default 20, max 100).
  */
-app.get('/api/total', async (req, res) => {
+const MAX_SEARCH_RESULTS = 100;
+
+app.get('/api/search', async (req, res) => {
     try {
-        const userid = Number(req.query.userid ?? req.query.id);
+        const q = req.query;
+        const userid = Number(q.userid);
+        const text = q.q == null ? '' : String(q.q).trim();
 
-        if (Number.isNaN(userid)) {
-            return res.status(400).json({ id: 400, message: 'Invalid userid' });
+        if (q.userid == null || Number.isNaN(userid) || text === '') {
+            return res.status(400).json({ id: 400, message: 'userid and q are required' });
+        }
+        if (text.length > 200) {
+            return res.status(400).json({ id: 400, message: 'q must be at most 200 characters' });
+        }
+        const limit = q.limit != null ? Number(q.limit) : 20;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+            return res.status(400).json({ id: 400, message: `limit must be an integer between 1 and ${MAX_SEARCH_RESULTS}` });
+        }
+        const filter = { $text: { $search: text }, userid };
+
+        if (q.from != null || q.to != null) {
+            const window = await parseDateWindow(q, userid);
+            if (!window.ok) return res.status(400).json({ id: 400, message: window.message });
+            filter.createdAt = window.createdAt;
+        }
+        if (q.category != null && q.category !== '') {
+            filter.category = (await catalog.resolve(q.category)) || catalog.normalize(q.category);
         }
         /*
-         * MongoDB Aggregation Pipeline:
-         * 1. Match documents by userid.
-         * 2. Group all matching docs and sum their 'sum' field.
+         * Ranking:
+         * textScore is MongoDB's relevance; newer costs win ties.
          */
-        const result = await Cost.aggregate([
-            { $match: { userid } },
-            { $group: { _id: null, total: { $sum: '$sum' } } }
-        ]);
+        const docs = await Cost.find(filter, { score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+            .limit(limit)
+            .lean();
 
-        const total = result.length ? result[0].total : 0;
+        const terms = search.queryTerms(text);
+        const results = docs.map(({ _id, __v, ...cost }) => ({
+            ...cost,
+            sum: money.toNumber(cost.sum),
+            score: Math.round(cost.score * 1000) / 1000,
+            highlight: search.highlight(cost.description, terms)
+        }));
 
-        // Return the total along with userid for context.
-        return res.json({ userid, total });
+        await writeLog('GET', '/api/search', 200);
+        return res.json({ q: text, results });
     } catch (err) {
+        await writeLog('GET', '/api/search', 500);
         return res.status(500).json({ id: 2, message: err.message });
     }
 });
+/*
+ * updateCost (PUT/PATCH /api/costs/:id):
+ * Edits a single cost item by its public id.
+ * PUT expects every field (createdAt stays unchanged when omitted),
+ * PATCH changes only the fields that were sent.
+ */
+async function updateCost(req, res) {
+    const method = req.method;
+    const partial = method === 'PATCH';
+
+    try {
+        const costId = Number(req.params.id);
+
+        if (Number.isNaN(costId)) {
+            await writeLog(method, '/api/costs/:id', 400);
+            return res.status(400).json({ id: 400, message: 'Invalid cost id' });
+        }
+        const input = validateCostInput(req.body, partial);
+
+        if (!input.ok) {
+            await writeLog(method, '/api/costs/:id', 400);
+            return res.status(400).json({ id: 400, message: input.message });
+        }
+        if (Object.keys(input.fields).length === 0) {
+            await writeLog(method, '/api/costs/:id', 400);
+            return res.status(400).json({ id: 400, message: 'No fields to update' });
+        }
+        if (input.fields.category !== undefined) {
+            const categoryCheck = await catalog.checkCategory(input.fields.category);
+            if (!categoryCheck.ok) {
+                await writeLog(method, '/api/costs/:id', 400);
+                return res.status(400).json({ id: 400, message: categoryCheck.message });
+            }
+            input.fields.category = categoryCheck.category;
+        }
+        if (input.fields.currency) {
+            const table = await rates.getRateTable();
+            if (table[input.fields.currency] == null) {
+                await writeLog(method, '/api/costs/:id', 400);
+                return res.status(400).json({ id: 400, message: 'Unknown currency' });
+            }
+        }
+        const cost = await Cost.findOne({ id: costId, ...ownedBy(req) });
+        if (!cost) {
+            await writeLog(method, '/api/costs/:id', 404);
+            return res.status(404).json({ id: 404, message: 'Cost not found' });
+        }
+        if (cost.groupExpenseId != null) {
+            await writeLog(method, '/api/costs/:id', 409);
+            return res.status(409).json({ id: 409, message: 'Cost is a share of a group expense, change the group expense instead' });
+        }
+        if (reimbursements.isLocked(cost)) {
+            await writeLog(method, '/api/costs/:id', 409);
+            return res.status(409).json({ id: 409, message: `Cost is ${cost.reimbursement.status} for reimbursement and cannot be changed` });
+        }
+        /*
+         * Decimal Places:
+         * A PATCH may change only the sum or only the currency, so the
+         * resulting pair is checked against the currency's minor unit.
+         */
+        const nextCurrency = input.fields.currency || cost.currency || rates.BASE_CURRENCY;
+        const nextSum = input.fields.sum != null ? input.fields.sum : money.toNumber(cost.sum);
+
+        if (!money.parseAmount(nextSum, nextCurrency).ok) {
+            await writeLog(method, '/api/costs/:id', 400);
+            return res.status(400).json({
+                id: 400,
+                message: `sum allows at most ${money.decimalsFor(nextCurrency)} decimal places`
+            });
+        }
+        /*
+         * Ownership Change:
+         * Moving a cost to another user requires that user to exist.
+         */
+        let ownerZone;
+        if (input.fields.userid !== undefined && input.fields.userid !== cost.userid) {
+            const userCheck = await checkUserExists(input.fields.userid);
+
+            if (!userCheck.ok) {
+                await writeLog(method, '/api/costs/:id', userCheck.status);
+                return res.status(userCheck.status).json(userCheck.error);
+            }
+            ownerZone = userCheck.timeZone;
+        }
+        /*
+         * Local Day:
+         * A plain-day createdAt is midnight in the (new) owner's zone.
+         */
+        if (input.localDay) {
+            const zone = ownerZone || (await fetchUserSettings(cost.userid)).timeZone;
+            input.fields.createdAt = createdAtInZone(input, zone);
+        }
+        /*
+         * Persist & Invalidate:
+         * Both the month the cost was in and the month it moved to
+         * may have a cached report that is now stale. The receipts follow
+         * the cost to its new owner.
+         */
+        const before = { userid: cost.userid, createdAt: cost.createdAt };
+        cost.set(input.fields);
+        await cost.save();
+
+        if (cost.userid !== before.userid) {
+            await Receipt.updateMany({ costId: cost.id }, { $set: { userid: cost.userid } });
+        }
+
+        await invalidateReport(before.userid, before.createdAt);
+        await invalidateReport(cost.userid, cost.createdAt);
+
+        await writeLog(method, '/api/costs/:id', 200);
+        return res.json(cost);
+    } catch (err) {
+        await writeLog(method, '/api/costs/:id', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+}
+
+app.put('/api/costs/:id', updateCost);
+app.patch('/api/costs/:id', updateCost);
+/*
+ * DELETE /api/costs/:id
+ * Removes a single cost item and invalidates the cached report of its month.
+ * Returns the deleted item so the client can show or undo it.
+ */
+app.delete('/api/costs/:id', async (req, res) => {
+    try {
+        const costId = Number(req.params.id);
+
+        if (Number.isNaN(costId)) {
+            await writeLog('DELETE', '/api/costs/:id', 400);
+            return res.status(400).json({ id: 400, message: 'Invalid cost id' });
+        }
+        const cost = await Cost.findOne({ id: costId, ...ownedBy(req) });
+        if (!cost) {
+            await writeLog('DELETE', '/api/costs/:id', 404);
+            return res.status(404).json({ id: 404, message: 'Cost not found' });
+        }
+        if (cost.groupExpenseId != null) {
+            await writeLog('DELETE', '/api/costs/:id', 409);
+            return res.status(409).json({ id: 409, message: 'Cost is a share of a group expense, delete the group expense instead' });
+        }
+        if (reimbursements.isLocked(cost)) {
+            await writeLog('DELETE', '/api/costs/:id', 409);
+            return res.status(409).json({ id: 409, message: `Cost is ${cost.reimbursement.status} for reimbursement and cannot be deleted` });
+        }
+        await cost.deleteOne();
+        await receipts.removeForCosts([cost.id]);
+        await invalidateReport(cost.userid, cost.createdAt);
+
+        await writeLog('DELETE', '/api/costs/:id', 200);
+        return res.json(cost);
+    } catch (err) {
+        await writeLog('DELETE', '/api/costs/:id', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * DELETE /api/users/:id/costs
+ * User Data Cleanup:
+ * Called by users-service (API key only) when a user is deleted with cascade. Removes
+ * every cost of the user (with their receipts), the cached reports and the
+ * user's incomes, budgets, goals and recurring templates, and takes the
+ * user out of their groups. Shared group expenses keep their record of
+ * the user's share.
+ * Returns the number of documents removed per kind.
+ */
+app.delete('/api/users/:id/costs', auth.requireService, async (req, res) => {
+    try {
+        const userid = Number(req.params.id);
+
+        if (Number.isNaN(userid)) {
+            await writeLog('DELETE', '/api/users/:id/costs', 400);
+            return res.status(400).json({ id: 400, message: 'Invalid user id' });
+        }
+        const costIds = (await Cost.find({ userid }, { id: 1 }).lean()).map(c => c.id);
+        await receipts.removeForCosts(costIds);
+
+        const removed = {
+            costs: (await Cost.deleteMany({ userid })).deletedCount,
+            reports: (await Report.deleteMany({ userid })).deletedCount,
+            incomes: (await Income.deleteMany({ userid })).deletedCount,
+            budgets: (await Budget.deleteMany({ userid })).deletedCount,
+            goals: (await Goal.deleteMany({ userid })).deletedCount,
+            recurring: (await RecurringCost.deleteMany({ userid })).deletedCount,
+            groups: 0
+        };
+        /*
+         * Group Membership:
+         * The user leaves every group; groups left without members go too.
+         */
+        const groups = await Group.find({ members: userid });
+        for (const group of groups) {
+            group.members = group.members.filter(m => m !== userid);
+            if (group.members.length === 0) {
+                await removeGroup(group.id);
+            } else {
+                await group.save();
+            }
+            removed.groups += 1;
+        }
+
+        await writeLog('DELETE', '/api/users/:id/costs', 200);
+        return res.json({ userid, removed });
+    } catch (err) {
+        await writeLog('DELETE', '/api/users/:id/costs', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * Receipt Upload Parser:
+ * One file in the multipart field 'file', kept in memory up to the size
+ * limit; the content is then checked and handed to the storage backend.
+ */
+const receiptUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: receipts.MAX_BYTES, files: 1 }
+}).single('file');
+/*
+ * POST /api/costs/:id/receipts
+ * Receipt Upload:
+ * Attaches a JPEG, PNG, GIF, WebP or PDF file (multipart/form-data, field
+ * 'file') to an existing cost. Larger files than the limit get 413, other
+ * types 415. Returns the receipt record (201).
+ */
+app.post('/api/costs/:id/receipts', async (req, res) => {
+    try {
+        const costId = Number(req.params.id);
+        if (Number.isNaN(costId)) {
+            await writeLog('POST', '/api/costs/:id/receipts', 400);
+            return res.status(400).json({ id: 400, message: 'Invalid cost id' });
+        }
+        const cost = await Cost.findOne({ id: costId, ...ownedBy(req) });
+        if (!cost) {
+            await writeLog('POST', '/api/costs/:id/receipts', 404);
+            return res.status(404).json({ id: 404, message: 'Cost not found' });
+        }
+        if (await Receipt.countDocuments({ costId }) >= receipts.MAX_PER_COST) {
+            await writeLog('POST', '/api/costs/:id/receipts', 409);
+            return res.status(409).json({ id: 409, message: `A cost can have at most ${receipts.MAX_PER_COST} receipts` });
+        }
+        /*
+         * Multipart Parsing:
+         * Multer reports limit violations as errors instead of files.
+         */
+        const uploadError = await new Promise(resolve => receiptUpload(req, res, resolve));
+        if (uploadError) {
+            const status = uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            const message = status === 413
+                ? `File is larger than ${receipts.MAX_BYTES} bytes`
+                : `Invalid upload: ${uploadError.message}`;
+            await writeLog('POST', '/api/costs/:id/receipts', status);
+            return res.status(status).json({ id: status, message });
+        }
+        if (!req.file || req.file.size === 0) {
+            await writeLog('POST', '/api/costs/:id/receipts', 400);
+            return res.status(400).json({ id: 400, message: 'A file is required (multipart field "file")' });
+        }
+        const contentType = receipts.detectType(req.file.buffer);
+        if (!contentType) {
+            await writeLog('POST', '/api/costs/:id/receipts', 415);
+            return res.status(415).json({ id: 415, message: 'Only JPEG, PNG, GIF, WebP images and PDF files are accepted' });
+        }
+        const receipt = await receipts.storeReceipt(cost, req.file, contentType);
+
+        await writeLog('POST', '/api/costs/:id/receipts', 201);
+        return res.status(201).json(receipt);
+    } catch (err) {
+        await writeLog('POST', '/api/costs/:id/receipts', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * GET /api/costs/:id/receipts
+ * Lists the receipts attached to a cost.
+ */
+app.get('/api/costs/:id/receipts', async (req, res) => {
+    try {
+        const costId = Number(req.params.id);
+        if (Number.isNaN(costId)) {
+            return res.status(400).json({ id: 400, message: 'Invalid cost id' });
+        }
+        const list = await Receipt.find({ costId, ...ownedBy(req) }).sort({ id: 1 });
+        return res.json(list);
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * GET /api/receipts/:id
+ * Receipt Download:
+ * Streams the stored file with its detected content type. Browsers show
+ * it inline; nosniff keeps them from guessing another type. A stored
+ * file that cannot be read is answered with a JSON 404.
+ */
+app.get('/api/receipts/:id', async (req, res) => {
+    try {
+        const receiptId = Number(req.params.id);
+        if (Number.isNaN(receiptId)) {
+            return res.status(400).json({ id: 400, message: 'Invalid receipt id' });
+        }
+        const receipt = await Receipt.findOne({ id: receiptId, ...ownedBy(req) }).lean();
+        if (!receipt) {
+            return res.status(404).json({ id: 404, message: 'Receipt not found' });
+        }
+        const stream = storage.getBackend(receipt.storage).open(receipt.key);
+        stream.once('error', () => {
+            if (res.headersSent) return res.destroy();
+            /* The file headers were set for the download, not for this error. */
+            ['Content-Type', 'Content-Length', 'Content-Disposition'].forEach(name => res.removeHeader(name));
+            return res.status(404).json({ id: 404, message: 'Receipt file is missing' });
+        });
+        res.set({
+            'Content-Type': receipt.contentType,
+            'Content-Length': String(receipt.size),
+            'Content-Disposition': `inline; filename="${receipt.filename}"`,
+            'X-Content-Type-Options': 'nosniff'
+        });
+        return stream.pipe(res);
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * DELETE /api/receipts/:id
+ * Removes a receipt and its stored file and returns the record.
+ */
+app.delete('/api/receipts/:id', async (req, res) => {
+    try {
+        const receiptId = Number(req.params.id);
+        if (Number.isNaN(receiptId)) {
+            await writeLog('DELETE', '/api/receipts/:id', 400);
+            return res.status(400).json({ id: 400, message: 'Invalid receipt id' });
+        }
+        const receipt = await Receipt.findOne({ id: receiptId, ...ownedBy(req) });
+        if (!receipt) {
+            await writeLog('DELETE', '/api/receipts/:id', 404);
+            return res.status(404).json({ id: 404, message: 'Receipt not found' });
+        }
+        await receipts.removeReceipt(receipt);
+
+        await writeLog('DELETE', '/api/receipts/:id', 200);
+        return res.json(receipt);
+    } catch (err) {
+        await writeLog('DELETE', '/api/receipts/:id', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * GET /api/anomalies
+ * Flagged Costs:
+ * Lists costs flagged as unusually high (newest first) with their score.
+ * Optional filters: userid and reviewed (true/false). Returns up to 'limit'
+ * items (default 50, max 200). A user token sees only the caller's costs.
+ */
+app.get('/api/anomalies', async (req, res) => {
+    try {
+        const filter = { anomaly: { $exists: true } };
+
+        if (req.query.userid != null) {
+            const userid = Number(req.query.userid);
+            if (Number.isNaN(userid)) {
+                return res.status(400).json({ id: 400, message: 'userid must be a number' });
+            }
+            filter.userid = userid;
+        }
+        if (req.query.reviewed != null) {
+            if (!['true', 'false'].includes(req.query.reviewed)) {
+                return res.status(400).json({ id: 400, message: 'reviewed must be true or false' });
+            }
+            filter['anomaly.reviewed'] = req.query.reviewed === 'true';
+        }
+        Object.assign(filter, ownedBy(req));
+        const limit = req.query.limit != null ? Number(req.query.limit) : 50;
+        if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+            return res.status(400).json({ id: 400, message: 'limit must be an integer between 1 and 200' });
+        }
+        const costs = await Cost.find(filter).sort({ createdAt: -1 }).limit(limit);
+        return res.json(costs);
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * PATCH /api/anomalies/:id
+ * Review:
+ * Marks a flagged cost (by its public id) as reviewed or not ({ reviewed }).
+ */
+app.patch('/api/anomalies/:id', async (req, res) => {
+    try {
+        const costId = Number(req.params.id);
+        const reviewed = req.body && req.body.reviewed;
+
+        if (Number.isNaN(costId) || typeof reviewed !== 'boolean') {
+            await writeLog('PATCH', '/api/anomalies/:id', 400);
+            return res.status(400).json({ id: 400, message: 'A numeric id and reviewed (true/false) are required' });
+        }
+        const cost = await Cost.findOneAndUpdate(
+            { id: costId, anomaly: { $exists: true }, ...ownedBy(req) },
+            { $set: { 'anomaly.reviewed': reviewed } },
+            { new: true }
+        );
+        if (!cost) {
+            await writeLog('PATCH', '/api/anomalies/:id', 404);
+            return res.status(404).json({ id: 404, message: 'Flagged cost not found' });
+        }
+        await writeLog('PATCH', '/api/anomalies/:id', 200);
+        return res.json(cost);
+    } catch (err) {
+        await writeLog('PATCH', '/api/anomalies/:id', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * POST /api/costs/:id/reimbursement
+ * Reimbursement Step:
+ * Moves a cost through the reimbursement workflow ({ status, by, comment }).
+ * The owner ('by' equal to the cost's userid) drafts and submits; an admin
+ * other than the owner approves, rejects and marks it paid. Other users do
+ * not find the cost. Every step is appended to the cost's reimbursement history.
+ */
+app.post('/api/costs/:id/reimbursement', async (req, res) => {
+    try {
+        const costId = Number(req.params.id);
+
+        if (Number.isNaN(costId)) {
+            await writeLog('POST', '/api/costs/:id/reimbursement', 400);
+            return res.status(400).json({ id: 400, message: 'Invalid cost id' });
+        }
+        const cost = await Cost.findOne({ id: costId, ...ownedBy(req) });
+        if (!cost) {
+            await writeLog('POST', '/api/costs/:id/reimbursement', 404);
+            return res.status(404).json({ id: 404, message: 'Cost not found' });
+        }
+        const step = reimbursements.planTransition(cost, req.body);
+        if (!step.ok) {
+            await writeLog('POST', '/api/costs/:id/reimbursement', step.status);
+            return res.status(step.status).json({ id: step.status, message: step.message });
+        }
+        if (!auth.canAccessUser(req, step.entry.by)) {
+            await writeLog('POST', '/api/costs/:id/reimbursement', 403);
+            return res.status(403).json({ id: 403, message: 'by must be the calling user' });
+        }
+        /*
+         * Role Check:
+         * The owner's own steps need access to the cost's user; decisions
+         * need the admin role (services may act for either).
+         */
+        const isDecision = reimbursements.APPROVER_STATUSES.includes(step.entry.to);
+        if (isDecision ? !auth.hasRole(req, 'admin') : !auth.canAccessUser(req, cost.userid)) {
+            await writeLog('POST', '/api/costs/:id/reimbursement', 403);
+            return res.status(403).json({
+                id: 403,
+                message: isDecision ? 'Only an admin can approve, reject or pay a claim' : 'Only the owner can draft or submit a claim'
+            });
+        }
+        /*
+         * Approver Validation:
+         * A decision must come from a user that exists in users-service.
+         */
+        if (step.entry.by !== cost.userid) {
+            const userCheck = await checkUserExists(step.entry.by);
+            if (!userCheck.ok) {
+                await writeLog('POST', '/api/costs/:id/reimbursement', userCheck.status);
+                return res.status(userCheck.status).json(userCheck.error);
+            }
+        }
+        /*
+         * Persist & Invalidate:
+         * The status is guarded in the update itself, so two concurrent
+         * steps from the same status cannot both be recorded.
+         */
+        const guard = step.entry.from === 'none'
+            ? { reimbursement: { $exists: false } }
+            : { 'reimbursement.status': step.entry.from };
+        const updated = await Cost.findOneAndUpdate(
+            { _id: cost._id, ...guard },
+            {
+                $set: { 'reimbursement.status': step.entry.to },
+                $push: { 'reimbursement.history': step.entry }
+            },
+            { new: true, runValidators: true }
+        );
+        if (!updated) {
+            await writeLog('POST', '/api/costs/:id/reimbursement', 409);
+            return res.status(409).json({ id: 409, message: 'The reimbursement changed meanwhile, reload and try again' });
+        }
+        await invalidateReport(updated.userid, updated.createdAt);
+
+        await writeLog('POST', '/api/costs/:id/reimbursement', 200, `${step.entry.from} -> ${step.entry.to}`);
+        return res.json(updated);
+    } catch (err) {
+        await writeLog('POST', '/api/costs/:id/reimbursement', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * GET /api/costs/:id/reimbursement
+ * Returns the current reimbursement status of a cost and its history
+ * (status 'none' and an empty history for a cost that was never claimed).
+ */
+app.get('/api/costs/:id/reimbursement', async (req, res) => {
+    try {
+        const costId = Number(req.params.id);
+
+        if (Number.isNaN(costId)) {
+            return res.status(400).json({ id: 400, message: 'Invalid cost id' });
+        }
+        /*
+         * Visibility:
+         * The owner, and admins and auditors (who see every claim).
+         */
+        const cost = await Cost.findOne({ id: costId, ...ownedBy(req) }).lean();
+        if (!cost) {
+            return res.status(404).json({ id: 404, message: 'Cost not found' });
+        }
+        const history = cost.reimbursement ? cost.reimbursement.history : [];
+        return res.json({
+            costId: cost.id,
+            status: reimbursements.currentStatus(cost),
+            history
+        });
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * GET /api/reimbursements
+ * Claims:
+ * Lists costs in the reimbursement workflow (newest first), e.g. the
+ * submitted claims an approver has to decide. Optional filters: userid and
+ * status. Returns up to 'limit' items (default 50, max 200). A user token
+ * sees only the caller's own claims.
+ */
+app.get('/api/reimbursements', async (req, res) => {
+    try {
+        const filter = { reimbursement: { $exists: true } };
+
+        if (req.query.userid != null) {
+            const userid = Number(req.query.userid);
+            if (Number.isNaN(userid)) {
+                return res.status(400).json({ id: 400, message: 'userid must be a number' });
+            }
+            filter.userid = userid;
+        }
+        if (req.query.status != null) {
+            if (!reimbursements.STATUSES.includes(req.query.status)) {
+                return res.status(400).json({ id: 400, message: `status must be one of: ${reimbursements.STATUSES.join(', ')}` });
+            }
+            filter['reimbursement.status'] = req.query.status;
+        }
+        Object.assign(filter, ownedBy(req));
+        const limit = req.query.limit != null ? Number(req.query.limit) : 50;
+        if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+            return res.status(400).json({ id: 400, message: 'limit must be an integer between 1 and 200' });
+        }
+        const costs = await Cost.find(filter).sort({ createdAt: -1 }).limit(limit);
+        return res.json(costs);
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * POST /api/recurring
+ * Recurring Template Creation:
+ * Defines a cost that repeats daily, weekly, monthly or yearly from
+ * 'startDate' (default today) until the optional inclusive 'endDate'.
+ * The cost fields follow the same rules as POST /api/add. Occurrences that
+ * are already due (including past ones) are generated immediately.
+ */
+app.post('/api/recurring', async (req, res) => {
+    try {
+        const body = req.body || {};
+        // The schedule dates replace createdAt for templates.
+        const input = validateCostInput({ ...body, createdAt: undefined });
+
+        if (!input.ok) {
+            await writeLog('POST', '/api/recurring', 400);
+            return res.status(400).json({ id: 400, message: input.message });
+        }
+        /*
+         * Schedule Validation:
+         * Frequency must be known, dates strictly formatted and in order.
+         */
+        if (!['daily', 'weekly', 'monthly', 'yearly'].includes(body.frequency)) {
+            await writeLog('POST', '/api/recurring', 400);
+            return res.status(400).json({ id: 400, message: 'frequency must be daily, weekly, monthly or yearly' });
+        }
+        const today = timezone.zonedParts(new Date(), timezone.DEFAULT_TIMEZONE);
+        let startDate = timezone.zonedMidnight(today.year, today.month, today.day, timezone.DEFAULT_TIMEZONE);
+        let startGiven = false;
+        let endDate;
+
+        if (body.startDate != null && body.startDate !== '') {
+            const parsed = parseStrictDate(body.startDate);
+            if (!parsed.ok || parsed.hasTime) {
+                await writeLog('POST', '/api/recurring', 400);
+                return res.status(400).json({ id: 400, message: 'startDate is invalid (YYYY-MM-DD)' });
+            }
+            startDate = parsed.date;
+            startGiven = true;
+        }
+        if (body.endDate != null && body.endDate !== '') {
+            const parsed = parseStrictDate(body.endDate);
+            if (!parsed.ok || parsed.hasTime || parsed.date < startDate) {
+                await writeLog('POST', '/api/recurring', 400);
+                return res.status(400).json({ id: 400, message: 'endDate must be a date (YYYY-MM-DD) not before startDate' });
+            }
+            endDate = parsed.date;
+        }
+        const categoryCheck = await catalog.checkCategory(input.fields.category);
+
+        if (!categoryCheck.ok) {
+            await writeLog('POST', '/api/recurring', 400);
+            return res.status(400).json({ id: 400, message: categoryCheck.message });
+        }
+        const currency = input.fields.currency || rates.BASE_CURRENCY;
+        const table = await rates.getRateTable();
+
+        if (table[currency] == null) {
+            await writeLog('POST', '/api/recurring', 400);
+            return res.status(400).json({ id: 400, message: 'Unknown currency' });
+        }
+        const userCheck = await checkUserExists(input.fields.userid);
+
+        if (!userCheck.ok) {
+            await writeLog('POST', '/api/recurring', userCheck.status);
+            return res.status(userCheck.status).json(userCheck.error);
+        }
+        /*
+         * Schedule Zone:
+         * The schedule follows the user's calendar: its days become midnight
+         * in the user's zone and the default start is the user's today.
+         */
+        const zone = userCheck.timeZone;
+        if (startGiven) {
+            startDate = timezone.sameDayIn(startDate, timezone.DEFAULT_TIMEZONE, zone);
+        } else {
+            const local = timezone.zonedParts(new Date(), zone);
+            startDate = timezone.zonedMidnight(local.year, local.month, local.day, zone);
+        }
+        if (endDate) endDate = timezone.sameDayIn(endDate, timezone.DEFAULT_TIMEZONE, zone);
+        /*
+         * Creation & First Run:
+         * nextRun starts at startDate, so due occurrences are generated right away.
+         */
+        const template = await RecurringCost.create({
+            ...input.fields,
+            category: categoryCheck.category,
+            currency,
+            frequency: body.frequency,
+            startDate,
+            endDate,
+            timezone: zone,
+            nextRun: startDate
+        });
+        await scheduler.materializeTemplate(template, new Date(), onCostGenerated);
+
+        await writeLog('POST', '/api/recurring', 201);
+        return res.status(201).json(await RecurringCost.findById(template._id));
+    } catch (err) {
+        await writeLog('POST', '/api/recurring', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * GET /api/recurring
+ * Lists recurring templates, optionally only those of 'userid'
+ * (always only the caller's for a plain user).
+ */
+app.get('/api/recurring', async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.userid != null) {
+            const userid = Number(req.query.userid);
+            if (Number.isNaN(userid)) {
+                return res.status(400).json({ id: 400, message: 'userid must be a number' });
+            }
+            filter.userid = userid;
+        }
+        Object.assign(filter, ownedBy(req));
+        const templates = await RecurringCost.find(filter).sort({ id: 1 });
+        return res.json(templates);
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * DELETE /api/recurring/:id
+ * Stops a recurring template. Costs it already generated are kept.
+ */
+app.delete('/api/recurring/:id', async (req, res) => {
+    try {
+        const templateId = Number(req.params.id);
+
+        if (Number.isNaN(templateId)) {
+            await writeLog('DELETE', '/api/recurring/:id', 400);
+            return res.status(400).json({ id: 400, message: 'Invalid recurring id' });
+        }
+        const template = await RecurringCost.findOneAndUpdate(
+            { id: templateId, ...ownedBy(req) },
+            { $set: { active: false } },
+            { new: true }
+        );
+        if (!template) {
+            await writeLog('DELETE', '/api/recurring/:id', 404);
+            return res.status(404).json({ id: 404, message: 'Recurring cost not found' });
+        }
+        await writeLog('DELETE', '/api/recurring/:id', 200);
+        return res.json(template);
+    } catch (err) {
+        await writeLog('DELETE', '/api/recurring/:id', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * POST /api/budgets
+ * Budget Upsert:
+ * Sets the spending limit of a user for a category, either for one month
+ * (year + month) or for every month (neither). Posting again for the same
+ * user, category and period replaces the amount.
+ */
+app.post('/api/budgets', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const userid = Number(body.userid);
+        const categoryCheck = await catalog.checkCategory(body.category);
+        const category = categoryCheck.category;
+        const hasPeriod = body.year != null || body.month != null;
+        const year = hasPeriod ? Number(body.year) : null;
+        const month = hasPeriod ? Number(body.month) : null;
+        /*
+         * Validation:
+         * Same category rules as POST /api/add (aliases, strict mode);
+         * a period needs both year and month.
+         */
+        if (Number.isNaN(userid) || userid < 1 || !category) {
+            await writeLog('POST', '/api/budgets', 400);
+            return res.status(400).json({
+                id: 400,
+                message: categoryCheck.ok ? 'userid and category are required' : categoryCheck.message
+            });
+        }
+        if (hasPeriod && (!Number.isInteger(year) || !Number.isInteger(month) || month < 1 || month > 12)) {
+            await writeLog('POST', '/api/budgets', 400);
+            return res.status(400).json({ id: 400, message: 'year and month must be given together (month 1-12)' });
+        }
+        if (body.currency != null && body.currency !== '' && !rates.isCurrencyCode(body.currency)) {
+            await writeLog('POST', '/api/budgets', 400);
+            return res.status(400).json({ id: 400, message: 'currency must be a 3-letter code' });
+        }
+        const currency = body.currency ? body.currency.toUpperCase() : rates.BASE_CURRENCY;
+        const table = await rates.getRateTable();
+
+        if (table[currency] == null) {
+            await writeLog('POST', '/api/budgets', 400);
+            return res.status(400).json({ id: 400, message: 'Unknown currency' });
+        }
+        const amount = money.parseAmount(body.amount, currency);
+
+        if (!amount.ok || Number(amount.value) <= 0) {
+            await writeLog('POST', '/api/budgets', 400);
+            return res.status(400).json({
+                id: 400,
+                message: `amount must be greater than 0 with at most ${money.decimalsFor(currency)} decimal places`
+            });
+        }
+        /*
+         * Upsert:
+         * Update the existing budget of this period, or create a new one
+         * (through save/create so it receives a public id).
+         */
+        let budget = await Budget.findOne({ userid, category, year, month });
+        const status = budget ? 200 : 201;
+
+        if (budget) {
+            budget.set({ amount: amount.value, currency });
+            await budget.save();
+        } else {
+            budget = await Budget.create({ userid, category, year, month, amount: amount.value, currency });
+        }
+        await writeLog('POST', '/api/budgets', status);
+        return res.status(status).json(budget);
+    } catch (err) {
+        await writeLog('POST', '/api/budgets', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * GET /api/budgets
+ * Lists the budgets of a user ('userid' is required).
+ */
+app.get('/api/budgets', async (req, res) => {
+    try {
+        const userid = Number(req.query.userid);
+        if (Number.isNaN(userid)) {
+            return res.status(400).json({ id: 400, message: 'userid is required and must be a number' });
+        }
+        const list = await Budget.find({ userid }).sort({ category: 1, year: 1, month: 1 });
+        return res.json(list);
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * DELETE /api/budgets/:id
+ * Removes a budget and returns it.
+ */
+app.delete('/api/budgets/:id', async (req, res) => {
+    try {
+        const budgetId = Number(req.params.id);
+
+        if (Number.isNaN(budgetId)) {
+            await writeLog('DELETE', '/api/budgets/:id', 400);
+            return res.status(400).json({ id: 400, message: 'Invalid budget id' });
+        }
+        const budget = await Budget.findOneAndDelete({ id: budgetId, ...ownedBy(req) });
+        if (!budget) {
+            await writeLog('DELETE', '/api/budgets/:id', 404);
+            return res.status(404).json({ id: 404, message: 'Budget not found' });
+        }
+        await writeLog('DELETE', '/api/budgets/:id', 200);
+        return res.json(budget);
+    } catch (err) {
+        await writeLog('DELETE', '/api/budgets/:id', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * Goal Lookup Helper:
+ * Parses the :id route parameter and loads the goal, limited to the
+ * caller's goals (see ownedBy).
+ * Returns { ok: true, goal } or { ok: false, status, message }.
+ */
+async function findGoal(rawId, owner = {}) {
+    const goalId = Number(rawId);
+    if (Number.isNaN(goalId)) return { ok: false, status: 400, message: 'Invalid goal id' };
+
+    const goal = await Goal.findOne({ id: goalId, ...owner });
+    if (!goal) return { ok: false, status: 404, message: 'Goal not found' };
+    return { ok: true, goal };
+}
+/*
+ * Goal Currency:
+ * Progress and projections are computed in the goal's own currency.
+ */
+async function goalTarget(goal) {
+    return { currency: goal.currency || rates.BASE_CURRENCY, table: await rates.getRateTable() };
+}
+/*
+ * POST /api/goals
+ * Savings Goal Creation:
+ * Sets a 'target' amount a user wants to save by 'deadline' (YYYY-MM-DD,
+ * today or later, in the user's zone). With 'fromBudgets: true' unspent
+ * budget counts towards the goal.
+ */
+app.post('/api/goals', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const userid = Number(body.userid);
+        const name = (body.name == null) ? '' : String(body.name).trim();
+
+        if (Number.isNaN(userid) || userid < 1 || !name) {
+            await writeLog('POST', '/api/goals', 400);
+            return res.status(400).json({ id: 400, message: 'userid and name are required' });
+        }
+        if (body.fromBudgets != null && typeof body.fromBudgets !== 'boolean') {
+            await writeLog('POST', '/api/goals', 400);
+            return res.status(400).json({ id: 400, message: 'fromBudgets must be true or false' });
+        }
+        if (body.currency != null && body.currency !== '' && !rates.isCurrencyCode(body.currency)) {
+            await writeLog('POST', '/api/goals', 400);
+            return res.status(400).json({ id: 400, message: 'currency must be a 3-letter code' });
+        }
+        const currency = body.currency ? body.currency.toUpperCase() : rates.BASE_CURRENCY;
+        const table = await rates.getRateTable();
+
+        if (table[currency] == null) {
+            await writeLog('POST', '/api/goals', 400);
+            return res.status(400).json({ id: 400, message: 'Unknown currency' });
+        }
+        const amount = money.parseAmount(body.target, currency);
+
+        if (!amount.ok || Number(amount.value) <= 0) {
+            await writeLog('POST', '/api/goals', 400);
+            return res.status(400).json({
+                id: 400,
+                message: `target must be greater than 0 with at most ${money.decimalsFor(currency)} decimal places`
+            });
+        }
+        const userCheck = await checkUserExists(userid);
+
+        if (!userCheck.ok) {
+            await writeLog('POST', '/api/goals', userCheck.status);
+            return res.status(userCheck.status).json(userCheck.error);
+        }
+        /*
+         * Deadline:
+         * A calendar day in the user's zone that has not passed yet.
+         */
+        const deadline = parseStrictDate(body.deadline, userCheck.timeZone);
+        const today = timezone.zonedParts(new Date(), userCheck.timeZone);
+
+        if (!deadline.ok || deadline.hasTime ||
+            deadline.date < timezone.zonedMidnight(today.year, today.month, today.day, userCheck.timeZone)) {
+            await writeLog('POST', '/api/goals', 400);
+            return res.status(400).json({ id: 400, message: 'deadline must be a date (YYYY-MM-DD) that has not passed' });
+        }
+        const goal = await Goal.create({
+            userid,
+            name,
+            target: amount.value,
+            currency,
+            deadline: deadline.date,
+            fromBudgets: body.fromBudgets === true
+        });
+
+        await writeLog('POST', '/api/goals', 201);
+        return res.status(201).json(goal);
+    } catch (err) {
+        await writeLog('POST', '/api/goals', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * GET /api/goals
+ * Lists the goals of a user ('userid' is required), nearest deadline first.
+ */
+app.get('/api/goals', async (req, res) => {
+    try {
+        const userid = Number(req.query.userid);
+        if (Number.isNaN(userid)) {
+            return res.status(400).json({ id: 400, message: 'userid is required and must be a number' });
+        }
+        const list = await Goal.find({ userid }).sort({ deadline: 1 });
+        return res.json(list);
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * GET /api/goals/:id
+ * Returns a goal with its progress (manual and budget contributions,
+ * saved and remaining amounts).
+ */
+app.get('/api/goals/:id', async (req, res) => {
+    try {
+        const found = await findGoal(req.params.id, ownedBy(req));
+        if (!found.ok) {
+            return res.status(found.status).json({ id: found.status, message: found.message });
+        }
+        const goal = found.goal;
+        const settings = await fetchUserSettings(goal.userid);
+        const progress = await goals.goalProgress(goal, settings.timeZone, await goalTarget(goal));
+        return res.json({ ...goal.toJSON(), progress });
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * POST /api/goals/:id/contributions
+ * Manual Contribution:
+ * Records money put aside for a goal ({ sum, note }) in the goal's currency.
+ */
+app.post('/api/goals/:id/contributions', async (req, res) => {
+    try {
+        const found = await findGoal(req.params.id, ownedBy(req));
+        if (!found.ok) {
+            await writeLog('POST', '/api/goals/:id/contributions', found.status);
+            return res.status(found.status).json({ id: found.status, message: found.message });
+        }
+        const goal = found.goal;
+        const body = req.body || {};
+        const currency = goal.currency || rates.BASE_CURRENCY;
+        const amount = money.parseAmount(body.sum, currency);
+
+        if (!amount.ok || Number(amount.value) <= 0) {
+            await writeLog('POST', '/api/goals/:id/contributions', 400);
+            return res.status(400).json({
+                id: 400,
+                message: `sum must be greater than 0 with at most ${money.decimalsFor(currency)} decimal places`
+            });
+        }
+        if (body.note != null && (typeof body.note !== 'string' || body.note.length > 200)) {
+            await writeLog('POST', '/api/goals/:id/contributions', 400);
+            return res.status(400).json({ id: 400, message: 'note must be a string up to 200 characters' });
+        }
+        goal.contributions.push({ sum: amount.value, ...(body.note && { note: body.note.trim() }) });
+        await goal.save();
+
+        await writeLog('POST', '/api/goals/:id/contributions', 201);
+        return res.status(201).json(goal);
+    } catch (err) {
+        await writeLog('POST', '/api/goals/:id/contributions', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * GET /api/goals/:id/projection
+ * Goal Projection:
+ * Compares what is still missing with the user's saving pace over the
+ * last completed months (the average monthly net, or without income the
+ * unspent budgets and contributions) and tells whether the goal will be
+ * met by the deadline (see goals.projectGoal).
+ */
+app.get('/api/goals/:id/projection', async (req, res) => {
+    try {
+        const found = await findGoal(req.params.id, ownedBy(req));
+        if (!found.ok) {
+            return res.status(found.status).json({ id: found.status, message: found.message });
+        }
+        const goal = found.goal;
+        const settings = await fetchUserSettings(goal.userid);
+        const projection = await goals.projectGoal(goal, settings.timeZone, await goalTarget(goal));
+        return res.json({ ...projection, timezone: settings.timeZone });
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * DELETE /api/goals/:id
+ * Removes a goal (with its contributions) and returns it.
+ */
+app.delete('/api/goals/:id', async (req, res) => {
+    try {
+        const found = await findGoal(req.params.id, ownedBy(req));
+        if (!found.ok) {
+            await writeLog('DELETE', '/api/goals/:id', found.status);
+            return res.status(found.status).json({ id: found.status, message: found.message });
+        }
+        await found.goal.deleteOne();
+
+        await writeLog('DELETE', '/api/goals/:id', 200);
+        return res.json(found.goal);
+    } catch (err) {
+        await writeLog('DELETE', '/api/goals/:id', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * Catalog Helpers:
+ * - normalizeAliases: cleans an aliases array (normalized, unique, without the name itself).
+ * - findNameConflict: returns the first of 'names' already used as a name or alias
+ *   by a category other than 'owner', or null.
+ * - invalidateAllReports: catalog changes alter the category list of every
+ *   report, so all cached reports are dropped and recomputed on demand.
+ */
+function normalizeAliases(aliases, name) {
+    if (aliases == null) return [];
+    if (!Array.isArray(aliases)) return null;
+    return [...new Set(aliases.map(catalog.normalize))].filter(a => a && a !== name);
+}
+
+async function findNameConflict(names, owner) {
+    for (const n of names) {
+        const used = await Category.findOne({
+            name: { $ne: owner },
+            $or: [{ name: n }, { aliases: n }]
+        }).lean();
+        if (used) return n;
+    }
+    return null;
+}
+
+async function invalidateAllReports() {
+    await Report.deleteMany({});
+}
+/*
+ * Parent Validation:
+ * The parent must be another catalog category and must not create a cycle
+ * (a category cannot end up as its own ancestor).
+ * Returns { ok: true, parent } with the canonical parent name (or null) or { ok: false, message }.
+ */
+async function checkParent(parentInput, name) {
+    if (parentInput == null || parentInput === '') return { ok: true, parent: null };
+
+    const parent = await catalog.resolve(parentInput);
+    if (!parent) return { ok: false, message: 'parent must be an existing category' };
+
+    let current = parent;
+    const seen = new Set();
+    while (current && !seen.has(current)) {
+        if (current === name) return { ok: false, message: 'parent would create a cycle' };
+        seen.add(current);
+        const doc = await Category.findOne({ name: current }, { parent: 1 }).lean();
+        current = doc && doc.parent;
+    }
+    return { ok: true, parent };
+}
+/*
+ * POST /api/categories
+ * Adds a category to the catalog with optional aliases and parent.
+ * Names and aliases are unique across the whole catalog.
+ * The catalog is shared by all users, so changing it needs the admin role
+ * (or a service API key).
+ */
+app.post('/api/categories', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const name = catalog.normalize(body.name);
+        const aliases = normalizeAliases(body.aliases, name);
+
+        if (!name || aliases === null) {
+            await writeLog('POST', '/api/categories', 400);
+            return res.status(400).json({ id: 400, message: 'name is required and aliases must be an array' });
+        }
+        const conflict = await findNameConflict([name, ...aliases], null);
+        if (conflict) {
+            await writeLog('POST', '/api/categories', 409);
+            return res.status(409).json({ id: 409, message: `Category name already used: ${conflict}` });
+        }
+        const parentCheck = await checkParent(body.parent, name);
+        if (!parentCheck.ok) {
+            await writeLog('POST', '/api/categories', 400);
+            return res.status(400).json({ id: 400, message: parentCheck.message });
+        }
+        const category = await Category.create({ name, aliases, parent: parentCheck.parent });
+        await invalidateAllReports();
+
+        await writeLog('POST', '/api/categories', 201);
+        return res.status(201).json(category);
+    } catch (err) {
+        await writeLog('POST', '/api/categories', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * GET /api/categories
+ * Lists the catalog in report order.
+ */
+app.get('/api/categories', async (req, res) => {
+    try {
+        const list = await Category.find().sort({ _id: 1 });
+        return res.json(list);
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * PATCH /api/categories/:name
+ * Replaces the aliases and/or the parent of a category.
+ * Renaming is done by merging into another category.
+ */
+app.patch('/api/categories/:name', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const category = await Category.findOne({ name: catalog.normalize(req.params.name) });
+
+        if (!category) {
+            await writeLog('PATCH', '/api/categories/:name', 404);
+            return res.status(404).json({ id: 404, message: 'Category not found' });
+        }
+        if (body.aliases !== undefined) {
+            const aliases = normalizeAliases(body.aliases, category.name);
+            if (aliases === null) {
+                await writeLog('PATCH', '/api/categories/:name', 400);
+                return res.status(400).json({ id: 400, message: 'aliases must be an array' });
+            }
+            const conflict = await findNameConflict(aliases, category.name);
+            if (conflict) {
+                await writeLog('PATCH', '/api/categories/:name', 409);
+                return res.status(409).json({ id: 409, message: `Category name already used: ${conflict}` });
+            }
+            category.aliases = aliases;
+        }
+        if (body.parent !== undefined) {
+            const parentCheck = await checkParent(body.parent, category.name);
+            if (!parentCheck.ok) {
+                await writeLog('PATCH', '/api/categories/:name', 400);
+                return res.status(400).json({ id: 400, message: parentCheck.message });
+            }
+            category.parent = parentCheck.parent;
+        }
+        await category.save();
+
+        await writeLog('PATCH', '/api/categories/:name', 200);
+        return res.json(category);
+    } catch (err) {
+        await writeLog('PATCH', '/api/categories/:name', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * DELETE /api/categories/:name
+ * Removes an unused category from the catalog. A category that still has
+ * costs, recurring templates or budgets must be merged instead.
+ */
+app.delete('/api/categories/:name', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const name = catalog.normalize(req.params.name);
+        const category = await Category.findOne({ name });
+
+        if (!category) {
+            await writeLog('DELETE', '/api/categories/:name', 404);
+            return res.status(404).json({ id: 404, message: 'Category not found' });
+        }
+        const inUse = await Cost.exists({ category: name })
+            || await RecurringCost.exists({ category: name })
+            || await Budget.exists({ category: name })
+            || await GroupExpense.exists({ category: name });
+        if (inUse) {
+            await writeLog('DELETE', '/api/categories/:name', 409);
+            return res.status(409).json({ id: 409, message: 'Category is in use, merge it into another category instead' });
+        }
+        await category.deleteOne();
+        await Category.updateMany({ parent: name }, { $set: { parent: null } });
+        await invalidateAllReports();
+
+        await writeLog('DELETE', '/api/categories/:name', 200);
+        return res.json(category);
+    } catch (err) {
+        await writeLog('DELETE', '/api/categories/:name', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * POST /api/categories/:name/merge
+ * Merges a category into another ('into'): its costs, recurring templates,
+ * group expenses and budgets move to the target, its name and aliases become aliases of
+ * the target, and its children are re-parented. A budget that would clash
+ * with an existing target budget of the same period is dropped.
+ */
+app.post('/api/categories/:name/merge', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const source = await Category.findOne({ name: catalog.normalize(req.params.name) });
+        const targetName = await catalog.resolve((req.body || {}).into);
+
+        if (!source || !targetName) {
+            await writeLog('POST', '/api/categories/:name/merge', 404);
+            return res.status(404).json({ id: 404, message: 'Category not found' });
+        }
+        if (targetName === source.name) {
+            await writeLog('POST', '/api/categories/:name/merge', 400);
+            return res.status(400).json({ id: 400, message: 'Cannot merge a category into itself' });
+        }
+        /*
+         * Data Move:
+         * Costs, templates and group expenses are renamed in bulk; budgets one by one
+         * because of the unique (userid, category, period) index.
+         */
+        await Cost.updateMany({ category: source.name }, { $set: { category: targetName } });
+        await RecurringCost.updateMany({ category: source.name }, { $set: { category: targetName } });
+        await GroupExpense.updateMany({ category: source.name }, { $set: { category: targetName } });
+
+        const sourceBudgets = await Budget.find({ category: source.name });
+        for (const b of sourceBudgets) {
+            const clash = await Budget.exists({ userid: b.userid, category: targetName, year: b.year, month: b.month });
+            if (clash) {
+                await b.deleteOne();
+            } else {
+                b.category = targetName;
+                await b.save();
+            }
+        }
+        /*
+         * Catalog Update:
+         * The source disappears; its spellings keep resolving to the target.
+         */
+        await source.deleteOne();
+        const target = await Category.findOneAndUpdate(
+            { name: targetName },
+            { $addToSet: { aliases: { $each: [source.name, ...source.aliases] } } },
+            { new: true }
+        );
+        // A target that was a child of the source takes over the source's parent.
+        if (target.parent === source.name) {
+            target.parent = source.parent;
+            await target.save();
+        }
+        await Category.updateMany({ parent: source.name }, { $set: { parent: targetName } });
+        await invalidateAllReports();
+
+        await writeLog('POST', '/api/categories/:name/merge', 200);
+        return res.json(target);
+    } catch (err) {
+        await writeLog('POST', '/api/categories/:name/merge', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * Group Lookup Helper:
+ * Parses the :id route parameter and loads the group. With a user token
+ * only groups the caller is a member of are found (admins and auditors
+ * find every group).
+ * Returns { ok: true, group } or { ok: false, status, message }.
+ */
+async function findGroup(rawId, req) {
+    const groupId = Number(rawId);
+    if (Number.isNaN(groupId)) return { ok: false, status: 400, message: 'Invalid group id' };
+
+    const query = { id: groupId };
+    if (!auth.canAccessAll(req)) query.members = req.auth.userid;
+    const group = await Group.findOne(query);
+    if (!group) return { ok: false, status: 404, message: 'Group not found' };
+    return { ok: true, group };
+}
+/*
+ * POST /api/groups
+ * Group Creation:
+ * Creates a group of existing users ('members', userids) sharing expenses.
+ * 'currency' (optional) is the currency balances are shown in.
+ */
+app.post('/api/groups', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const name = (body.name == null) ? '' : String(body.name).trim();
+        const members = Array.isArray(body.members) ? [...new Set(body.members.map(Number))] : [];
+
+        if (!name || members.length === 0 || members.some(m => !Number.isInteger(m) || m < 1)) {
+            await writeLog('POST', '/api/groups', 400);
+            return res.status(400).json({ id: 400, message: 'name and members (userids >= 1) are required' });
+        }
+        if (!auth.canAccessAll(req) && !members.includes(req.auth.userid)) {
+            await writeLog('POST', '/api/groups', 403);
+            return res.status(403).json({ id: 403, message: 'You must be a member of the group you create' });
+        }
+        if (body.currency != null && body.currency !== '' && !rates.isCurrencyCode(body.currency)) {
+            await writeLog('POST', '/api/groups', 400);
+            return res.status(400).json({ id: 400, message: 'currency must be a 3-letter code' });
+        }
+        const currency = body.currency ? body.currency.toUpperCase() : rates.BASE_CURRENCY;
+        const table = await rates.getRateTable();
+
+        if (table[currency] == null) {
+            await writeLog('POST', '/api/groups', 400);
+            return res.status(400).json({ id: 400, message: 'Unknown currency' });
+        }
+        /*
+         * Member Validation:
+         * Every member must exist in users-service.
+         */
+        for (const userid of members) {
+            const userCheck = await checkUserExists(userid);
+            if (!userCheck.ok) {
+                await writeLog('POST', '/api/groups', userCheck.status);
+                return res.status(userCheck.status).json(userCheck.error);
+            }
+        }
+        const group = await Group.create({ name, members, currency });
+
+        await writeLog('POST', '/api/groups', 201);
+        return res.status(201).json(group);
+    } catch (err) {
+        await writeLog('POST', '/api/groups', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * GET /api/groups
+ * Lists groups, optionally only those 'userid' is a member of
+ * (always only the caller's for a plain user).
+ */
+app.get('/api/groups', async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.userid != null) {
+            const userid = Number(req.query.userid);
+            if (Number.isNaN(userid)) {
+                return res.status(400).json({ id: 400, message: 'userid must be a number' });
+            }
+            filter.members = userid;
+        }
+        if (!auth.canAccessAll(req)) filter.members = req.auth.userid;
+        const groups = await Group.find(filter).sort({ id: 1 });
+        return res.json(groups);
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * GET /api/groups/:id
+ * Returns a group with its expenses (newest first).
+ */
+app.get('/api/groups/:id', async (req, res) => {
+    try {
+        const found = await findGroup(req.params.id, req);
+        if (!found.ok) {
+            return res.status(found.status).json({ id: found.status, message: found.message });
+        }
+        const expenses = await GroupExpense.find({ groupId: found.group.id }).sort({ createdAt: -1 });
+        return res.json({ ...found.group.toJSON(), expenses });
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * POST /api/groups/:id/costs
+ * Shared Expense:
+ * Records an expense paid by 'paidBy' (the calling member; services and
+ * admins may name any member) and splits it with
+ * 'split': 'equal' (between 'participants', default all members),
+ * 'percentage' or 'exact' ('shares' maps userid to percent or amount).
+ * The cost fields follow the rules of POST /api/add. Every participant gets
+ * a Cost for their share, so personal reports and totals include only the share.
+ */
+app.post('/api/groups/:id/costs', async (req, res) => {
+    try {
+        const found = await findGroup(req.params.id, req);
+        if (!found.ok) {
+            await writeLog('POST', '/api/groups/:id/costs', found.status);
+            return res.status(found.status).json({ id: found.status, message: found.message });
+        }
+        const group = found.group;
+        const body = req.body || {};
+        const paidBy = Number(body.paidBy);
+        /*
+         * Validation:
+         * The payer is used as the userid for the shared cost rules.
+         */
+        const input = validateCostInput({ ...body, userid: paidBy });
+
+        if (!input.ok) {
+            await writeLog('POST', '/api/groups/:id/costs', 400);
+            return res.status(400).json({ id: 400, message: input.message });
+        }
+        if (!group.members.includes(paidBy)) {
+            await writeLog('POST', '/api/groups/:id/costs', 400);
+            return res.status(400).json({ id: 400, message: 'paidBy must be a group member' });
+        }
+        if (!auth.hasRole(req, 'admin') && paidBy !== req.auth.userid) {
+            await writeLog('POST', '/api/groups/:id/costs', 403);
+            return res.status(403).json({ id: 403, message: 'paidBy must be the caller' });
+        }
+        const categoryCheck = await catalog.checkCategory(input.fields.category);
+
+        if (!categoryCheck.ok) {
+            await writeLog('POST', '/api/groups/:id/costs', 400);
+            return res.status(400).json({ id: 400, message: categoryCheck.message });
+        }
+        const currency = input.fields.currency || rates.BASE_CURRENCY;
+        const table = await rates.getRateTable();
+
+        if (table[currency] == null) {
+            await writeLog('POST', '/api/groups/:id/costs', 400);
+            return res.status(400).json({ id: 400, message: 'Unknown currency' });
+        }
+        const split = splits.computeShares(
+            input.fields.sum, currency, body.split || 'equal', group.members, body.participants, body.shares
+        );
+        if (!split.ok) {
+            await writeLog('POST', '/api/groups/:id/costs', 400);
+            return res.status(400).json({ id: 400, message: split.message });
+        }
+        /*
+         * Persistence:
+         * The expense keeps the full picture; the share costs (zero shares
+         * are skipped) feed the members' personal reports. A plain-day
+         * createdAt is midnight in the payer's zone.
+         */
+        const payerZone = input.localDay ? (await fetchUserSettings(paidBy)).timeZone : undefined;
+        const createdAt = createdAtInZone(input, payerZone) || new Date();
+        const expense = await GroupExpense.create({
+            groupId: group.id,
+            paidBy,
+            sum: input.fields.sum,
+            currency,
+            category: categoryCheck.category,
+            description: input.fields.description,
+            createdAt,
+            splitType: body.split || 'equal',
+            shares: split.shares.map(s => ({ userid: s.userid, amount: String(s.amount) }))
+        });
+        for (const share of split.shares.filter(s => s.amount > 0)) {
+            const cost = await Cost.create({
+                userid: share.userid,
+                sum: String(share.amount),
+                currency,
+                category: categoryCheck.category,
+                description: input.fields.description,
+                createdAt,
+                groupExpenseId: expense.id
+            });
+            await invalidateReport(cost.userid, createdAt);
+            await notifyBudgetExceeded(cost);
+        }
+        await writeLog('POST', '/api/groups/:id/costs', 201);
+        return res.status(201).json(expense);
+    } catch (err) {
+        await writeLog('POST', '/api/groups/:id/costs', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * Share Cost Removal Helper:
+ * Deletes the share costs (and their receipts) of the given group expenses
+ * and drops the cached reports they were counted in.
+ */
+async function removeShareCosts(expenseIds) {
+    const shareCosts = await Cost.find({ groupExpenseId: { $in: expenseIds } }).lean();
+    await Cost.deleteMany({ groupExpenseId: { $in: expenseIds } });
+    await receipts.removeForCosts(shareCosts.map(c => c.id));
+    for (const c of shareCosts) {
+        await invalidateReport(c.userid, c.createdAt);
+    }
+}
+/*
+ * Group Removal Helper:
+ * Deletes a group with all its expenses and their share costs.
+ */
+async function removeGroup(groupId) {
+    const expenseIds = (await GroupExpense.find({ groupId }, { id: 1 }).lean()).map(e => e.id);
+    await removeShareCosts(expenseIds);
+    await GroupExpense.deleteMany({ groupId });
+    await Group.deleteOne({ id: groupId });
+}
+/*
+ * DELETE /api/groups/:id/costs/:expenseId
+ * Removes a shared expense together with the members' share costs.
+ * Only the payer (who is also the one who added it, see POST
+ * /api/groups/:id/costs) and admins or services may remove it.
+ */
+app.delete('/api/groups/:id/costs/:expenseId', async (req, res) => {
+    try {
+        const found = await findGroup(req.params.id, req);
+        if (!found.ok) {
+            await writeLog('DELETE', '/api/groups/:id/costs/:expenseId', found.status);
+            return res.status(found.status).json({ id: found.status, message: found.message });
+        }
+        const expense = await GroupExpense.findOne({
+            id: Number(req.params.expenseId),
+            groupId: found.group.id
+        });
+        if (!expense) {
+            await writeLog('DELETE', '/api/groups/:id/costs/:expenseId', 404);
+            return res.status(404).json({ id: 404, message: 'Group expense not found' });
+        }
+        if (!auth.canAccessAll(req) && expense.paidBy !== req.auth.userid) {
+            await writeLog('DELETE', '/api/groups/:id/costs/:expenseId', 403);
+            return res.status(403).json({ id: 403, message: 'Only the payer can delete a group expense' });
+        }
+        await expense.deleteOne();
+        await removeShareCosts([expense.id]);
+        await writeLog('DELETE', '/api/groups/:id/costs/:expenseId', 200);
+        return res.json(expense);
+    } catch (err) {
+        await writeLog('DELETE', '/api/groups/:id/costs/:expenseId', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * DELETE /api/groups/:id
+ * Group Removal:
+ * Deletes a group. Members can delete a group without expenses (409
+ * otherwise); admins and services delete it with its expenses and the
+ * members' share costs. Returns the deleted group.
+ */
+app.delete('/api/groups/:id', async (req, res) => {
+    try {
+        const found = await findGroup(req.params.id, req);
+        if (!found.ok) {
+            await writeLog('DELETE', '/api/groups/:id', found.status);
+            return res.status(found.status).json({ id: found.status, message: found.message });
+        }
+        const group = found.group;
+        if (!auth.canAccessAll(req) && await GroupExpense.exists({ groupId: group.id })) {
+            await writeLog('DELETE', '/api/groups/:id', 409);
+            return res.status(409).json({ id: 409, message: 'Group has expenses, delete them first' });
+        }
+        await removeGroup(group.id);
+
+        await writeLog('DELETE', '/api/groups/:id', 200);
+        return res.json(group);
+    } catch (err) {
+        await writeLog('DELETE', '/api/groups/:id', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * DELETE /api/groups/:id/members/:userid
+ * Member Removal:
+ * A member leaves the group (admins and services can remove anyone). The
+ * member's past expenses stay, so they keep their balance until settled.
+ * The group is deleted when its last member leaves. Returns the group.
+ */
+app.delete('/api/groups/:id/members/:userid', async (req, res) => {
+    try {
+        const found = await findGroup(req.params.id, req);
+        if (!found.ok) {
+            await writeLog('DELETE', '/api/groups/:id/members/:userid', found.status);
+            return res.status(found.status).json({ id: found.status, message: found.message });
+        }
+        const group = found.group;
+        const userid = Number(req.params.userid);
+
+        if (!group.members.includes(userid)) {
+            await writeLog('DELETE', '/api/groups/:id/members/:userid', 404);
+            return res.status(404).json({ id: 404, message: 'User is not a member of the group' });
+        }
+        if (!auth.canAccessUser(req, userid)) {
+            await writeLog('DELETE', '/api/groups/:id/members/:userid', 403);
+            return res.status(403).json({ id: 403, message: 'Members can only remove themselves' });
+        }
+        group.members = group.members.filter(m => m !== userid);
+        if (group.members.length === 0) {
+            await removeGroup(group.id);
+        } else {
+            await group.save();
+        }
+        await writeLog('DELETE', '/api/groups/:id/members/:userid', 200);
+        return res.json(group);
+    } catch (err) {
+        await writeLog('DELETE', '/api/groups/:id/members/:userid', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * GET /api/groups/:id/balances
+ * Balances & Settle-Up:
+ * For every member: what they paid, what they owe (their shares) and the
+ * net (positive = is owed money), all in the group's currency. 'settlements'
+ * is a short list of transfers that brings every balance to zero.
+ */
+app.get('/api/groups/:id/balances', async (req, res) => {
+    try {
+        const found = await findGroup(req.params.id, req);
+        if (!found.ok) {
+            return res.status(found.status).json({ id: found.status, message: found.message });
+        }
+        const group = found.group;
+        const currency = group.currency || rates.BASE_CURRENCY;
+        const table = await rates.getRateTable();
+        const expenses = await GroupExpense.find({ groupId: group.id }).lean();
+        /*
+         * Accumulation:
+         * Amounts are converted into the group's currency and added in minor
+         * units; members who left the group still appear while they have a balance.
+         */
+        const paid = {};
+        const owed = {};
+        group.members.forEach(m => {
+            paid[m] = 0;
+            owed[m] = 0;
+        });
+        const toGroupMinor = (amount, from) =>
+            money.toMinor(rates.convertAmount(money.toNumber(amount), from, currency, table), currency);
+
+        expenses.forEach(e => {
+            paid[e.paidBy] = (paid[e.paidBy] || 0) + toGroupMinor(e.sum, e.currency);
+            e.shares.forEach(s => {
+                owed[s.userid] = (owed[s.userid] || 0) + toGroupMinor(s.amount, e.currency);
+            });
+        });
+        const userids = [...new Set([...Object.keys(paid), ...Object.keys(owed)])].map(Number);
+        const net = {};
+        userids.forEach(u => {
+            net[u] = (paid[u] || 0) - (owed[u] || 0);
+        });
+        /*
+         * Conversion Rounding:
+         * Converted shares may differ from the converted sum by a minor unit;
+         * the difference is assigned to the payer side (largest creditor).
+         */
+        const drift = Object.values(net).reduce((a, b) => a + b, 0);
+        if (drift !== 0 && userids.length > 0) {
+            const top = userids.reduce((a, b) => (net[b] > net[a] ? b : a));
+            net[top] -= drift;
+        }
+        const balances = userids.map(u => ({
+            userid: u,
+            paid: money.fromMinor(paid[u] || 0, currency),
+            owed: money.fromMinor(owed[u] || 0, currency),
+            net: money.fromMinor(net[u], currency)
+        }));
+        const settlements = splits.settleUp(net).map(t => ({
+            from: t.from,
+            to: t.to,
+            amount: money.fromMinor(t.minor, currency)
+        }));
+        return res.json({ groupId: group.id, currency, balances, settlements });
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * Monthly Report Builder (Computed Pattern):
+ * Returns the category-grouped costs array of one user's month.
+ * Past months are served from the Report cache and stored there after
+ * the first calculation; the current (open) month is always computed live.
+ * The month and the item days are taken in the user's 'timeZone'; with a
+ * 'startDay' after the 1st the month is a budgeting month (see
+ * timezone.monthWindow).
+ * 'extraFilter' (tags/metadata, see tags.buildFilter) narrows the costs;
+ * filtered reports are never cached.
+ */
+async function buildMonthlyCosts(userid, year, month, timeZone, extraFilter = {}, startDay = 1) {
+    /*
+     * Month Window:
+     * 'start' is local midnight of the month's first day, 'end' that of the
+     * NEXT month's first day.
+     */
+    const { start, end } = timezone.monthWindow(year, month, timeZone, startDay);
+    /*
+     * Past Month Detection:
+     * The report is in the past once its whole window has ended.
+     * This determines if we can use the cached report or must calculate fresh data.
+     */
+    const isPast = end <= new Date() && !tagging.isFiltered(extraFilter);
+    /*
+     * Cache Lookup (Computed Pattern):
+     * If it's a past month, try to find a pre-computed report.
+     * If found, return its costs immediately to save processing power.
+     * A report computed for another zone or month start day (the user
+     * changed it) is a miss.
+     */
+    if (isPast) {
+        const cached = await Report.findOne({ userid: userid, year, month, timezone: timeZone, monthStartDay: startDay }).lean();
+        if (cached) return cached.costs;
+    }
+    /*
+     * Report Calculation:
+     * Fetch the month's costs.
+     */
+
+    const costsDocs = await Cost.find({
+        ...extraFilter,
+        userid: userid,
+        createdAt: { $gte: start, $lt: end }
+    }).lean();
+    /*
+     * Category Management:
+     * Merges the catalog categories with any other categories
+     * found in the retrieved documents to ensure complete coverage.
+     */
+    const catalogCategories = await catalog.listNames();
+    const dynamicCategories = [...new Set(costsDocs.map(c => c.category))];
+
+    const categories = [
+        ...catalogCategories,
+        ...dynamicCategories.filter(c => !catalogCategories.includes(c))
+    ];
+    /*
+     * Grouping Initialization:
+     * Creates an empty array for every category to prepare for
+     * sorting the cost items.
+     */
+    const grouped = {};
+    categories.forEach(cat => {
+        grouped[cat] = [];
+    });
+    /*
+     * Data Transformation:
+     * Iterates over raw cost documents and pushes simplified objects
+     * (sum, currency, description, day) into their respective category buckets.
+     * Items generated from a recurring template are flagged with 'recurring: true'
+     * and claimed items carry their 'reimbursement' status.
+     * Amounts stay in their original currency, so the cache is currency-neutral.
+     */
+    costsDocs.forEach(c => {
+        if (!grouped[c.category]) grouped[c.category] = [];  // Safety check
+        grouped[c.category].push({
+            sum: money.toNumber(c.sum),
+            currency: c.currency || rates.BASE_CURRENCY,
+            description: c.description,
+            day: timezone.zonedParts(c.createdAt, timeZone).day,
+            ...(c.recurringId != null && { recurring: true }),
+            ...(c.reimbursement && { reimbursement: c.reimbursement.status })
+        });
+    });
+    /*
+     * Final Formatting:
+     * Maps the grouped object into the array structure required by the API spec.
+     */
+    const costsArr = categories.map(cat => ({
+        [cat]: grouped[cat]
+    }));
+    /*
+     * Cache Update (Computed Pattern):
+     * If this was a past month (and wasn't in cache initially),
+     * save the calculated report to the DB for future requests.
+     */
+    if (isPast) {
+        await Report.updateOne(
+            { userid, year, month, timezone: timeZone, monthStartDay: startDay },
+            { $set: { costs: costsArr } },
+            { upsert: true }
+        );
+    }
+    return costsArr;
+}
+/*
+ * Report Currency Conversion:
+ * Returns a copy of a monthly costs array with every item's sum converted
+ * into 'currency'. The stored amount is kept on the item as 'original'.
+ */
+function convertMonthlyCosts(costsArr, currency, table) {
+    return costsArr.map(entry => {
+        const [category, items] = Object.entries(entry)[0];
+        return {
+            [category]: items.map(item => {
+                const original = { sum: item.sum, currency: item.currency || rates.BASE_CURRENCY };
+                return {
+                    sum: rates.convertAmount(original.sum, original.currency, currency, table),
+                    description: item.description,
+                    day: item.day,
+                    ...(item.recurring && { recurring: true }),
+                    ...(item.reimbursement && { reimbursement: item.reimbursement }),
+                    original
+                };
+            })
+        };
+    });
+}
+/*
+ * Budget vs. Actual:
+ * For every budget that applies to the report month, compares the limit
+ * with what was spent in that category. All amounts are in the report's
+ * currency; 'remaining' is negative once the budget is exceeded.
+ */
+async function buildBudgetSummary(userid, year, month, costs, target) {
+    const monthBudgets = await budgets.getBudgetsForMonth(userid, year, month);
+    const { totals } = summarizeMonth(costs, target.currency);
+
+    return [...monthBudgets.values()]
+        .sort((a, b) => a.category.localeCompare(b.category))
+        .map(b => {
+            const budget = rates.convertAmount(money.toNumber(b.amount), b.currency, target.currency, target.table);
+            const actual = totals[b.category] || 0;
+            return {
+                category: b.category,
+                budget,
+                actual,
+                remaining: money.addAll([budget, -actual], target.currency),
+                exceeded: actual > budget
+            };
+        });
+}
+/*
+ * Report Format Negotiation:
+ * 'format' (query) wins over the Accept header. Returns { ok: true, format }
+ * with one of json/csv/html, or { ok: false, status, message } for an
+ * unsupported format (400) or an Accept header none of them satisfies (406).
+ */
+const REPORT_FORMATS = ['json', 'csv', 'html'];
+
+function pickReportFormat(req) {
+    if (req.query.format != null) {
+        return REPORT_FORMATS.includes(req.query.format)
+            ? { ok: true, format: req.query.format }
+            : { ok: false, status: 400, message: 'format must be json, csv or html' };
+    }
+    const format = req.accepts(REPORT_FORMATS);
+    return format
+        ? { ok: true, format }
+        : { ok: false, status: 406, message: 'Acceptable formats: application/json, text/csv, text/html' };
+}
+/*
+ * Report Senders:
+ * Write a report in the negotiated format. CSV is sent as a download with
+ * one flat row per cost item; HTML is a printable statement.
+ */
+function sendCsv(res, filename, columns, rows) {
+    res.type('text/csv');
+    res.attachment(filename);
+    return res.send(toCsv(columns, rows));
+}
+
+function flattenMonthlyCosts(costs, startDay = 1) {
+    const rows = [];
+    costs.forEach(entry => {
+        const [category, items] = Object.entries(entry)[0];
+        items.forEach(i => rows.push({ category, day: i.day, description: i.description, sum: i.sum }));
+    });
+    return rows.sort((a, b) => timezone.periodDay(a.day, startDay) - timezone.periodDay(b.day, startDay));
+}
+/*
+ * Preferred Report Categories:
+ * Puts the user's report categories first, in their order (empty ones
+ * included), followed by every other category that has costs. Without
+ * preferences the costs array is returned as is.
+ */
+function arrangeReportCategories(costsArr, preferred) {
+    if (!preferred || preferred.length === 0) return costsArr;
+    const byName = new Map(costsArr.map(entry => Object.entries(entry)[0]));
+
+    const first = preferred.map(category => ({ [category]: byName.get(category) || [] }));
+    const rest = [...byName]
+        .filter(([category, items]) => !preferred.includes(category) && items.length > 0)
+        .map(([category, items]) => ({ [category]: items }));
+    return [...first, ...rest];
+}
+/*
+ * Report Period:
+ * The first and last calendar day ({ from, to }, YYYY-MM-DD) a monthly
+ * report covers in 'timeZone'.
+ */
+function reportPeriod(year, month, timeZone, startDay) {
+    const { start, end } = timezone.monthWindow(year, month, timeZone, startDay);
+    const format = date => {
+        const p = timezone.zonedParts(date, timeZone);
+        return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+    };
+    return { from: format(start), to: format(new Date(end.getTime() - 1)) };
+}
+/*
+ * GET /api/report
+ * Computed Design Pattern Implementation:
+ * Retrieves monthly reports. If the report is for a past month,
+ * it checks the cache (Report model) first before calculating.
+ * Amounts are returned in 'currency' (query), else the user's default
+ * currency, else the base currency. 'budgets' lists budget vs. actual
+ * spending for every category that has a budget in that month.
+ * 'tags' and 'meta.<key>' narrow the report like in GET /api/costs; a
+ * filtered report has no 'budgets' (they apply to all of a category's costs).
+ * 'reimbursement' splits the month's total into personal, pending and
+ * reimbursed amounts (see reimbursements.splitTotals). 'balance' holds the
+ * month's income, expenses and net balance (income - expenses); like
+ * 'budgets' it is left out of a filtered report.
+ * The user's preferences shape the report: a month_start_day after the 1st
+ * turns it into a budgeting month ('period' holds the days covered), the
+ * report categories come first (see arrangeReportCategories) and the
+ * locale formats the amounts of the HTML statement.
+ * Sent as JSON, CSV or HTML depending on 'format' or the Accept header.
+ */
+app.get('/api/report', async (req, res) => {
+    try {
+        const output = pickReportFormat(req);
+        if (!output.ok) {
+            return res.status(output.status).json({ id: output.status, message: output.message });
+        }
+        const userid = Number(req.query.userid ?? req.query.id);
+        const year = Number(req.query.year);
+        const month = Number(req.query.month);
+        /*
+         * Query Parameter Validation:
+         * Ensures all necessary parameters are present and are valid numbers.
+         */
+        if (Number.isNaN(userid) || Number.isNaN(year) || Number.isNaN(month)) {
+            return res.status(400).json({
+                id: 400,
+                message: 'id, year, month are required and must be numbers'
+            });
+        }
+        if (month < 1 || month > 12) {
+            return res.status(400).json({ id: 400, message: 'month must be 1-12' });
+        }
+        const tagFilter = tagging.buildFilter(req.query);
+        if (!tagFilter.ok) {
+            return res.status(400).json({ id: 400, message: tagFilter.message });
+        }
+        const filtered = tagging.isFiltered(tagFilter.filter);
+        /*
+         * Currency & Zone Selection:
+         * The user's default currency applies when none was requested;
+         * the user's time zone sets the month boundaries and item days.
+         */
+        const settings = await fetchUserSettings(userid);
+        const target = await resolveCurrency(req.query.currency, settings.currency);
+
+        if (!target.ok) {
+            return res.status(400).json({ id: 400, message: target.message });
+        }
+        const startDay = settings.monthStartDay;
+        const costs = arrangeReportCategories(
+            convertMonthlyCosts(
+                await buildMonthlyCosts(userid, year, month, settings.timeZone, tagFilter.filter, startDay),
+                target.currency,
+                target.table
+            ),
+            settings.reportCategories
+        );
+
+        const report = {
+            userid,
+            year,
+            month,
+            currency: target.currency,
+            timezone: settings.timeZone,
+            monthStartDay: startDay,
+            period: reportPeriod(year, month, settings.timeZone, startDay),
+            ...(settings.locale && { locale: settings.locale }),
+            costs,
+            reimbursement: reimbursements.splitTotals(costs, target.currency),
+            ...(!filtered && {
+                budgets: await buildBudgetSummary(userid, year, month, costs, target),
+                balance: incomes.balance(
+                    await incomes.monthIncome(userid, year, month, settings.timeZone, target, startDay),
+                    summarizeMonth(costs, target.currency).total,
+                    target.currency
+                )
+            })
+        };
+        /*
+         * Output:
+         * Flat CSV rows, a printable statement or the JSON document.
+         */
+        if (output.format === 'csv') {
+            const filename = `report-${userid}-${year}-${String(month).padStart(2, '0')}.csv`;
+            return sendCsv(res, filename, ['category', 'day', 'description', 'sum'], flattenMonthlyCosts(costs, startDay));
+        }
+        if (output.format === 'html') {
+            return res.type('html').send(statement.renderMonthlyStatement(report));
+        }
+        return res.json(report);
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * Report Summary Helper:
+ * Reduces a monthly costs array ([{ category: [items] }]), already converted
+ * into 'currency', to per-category totals and a grand total for that month.
+ * Totals are added in minor units so they are exact.
+ */
+function summarizeMonth(costsArr, currency) {
+    const totals = {};
+    costsArr.forEach(entry => {
+        const [category, items] = Object.entries(entry)[0];
+        totals[category] = money.addAll(items.map(item => item.sum), currency);
+    });
+    return { totals, total: money.addAll(Object.values(totals), currency) };
+}
+/*
+ * Range Report Builder:
+ * Walks every month between two (year, month) points, inclusive, and
+ * combines the monthly reports into per-month breakdowns, per-category
+ * totals and a grand total. Reuses buildMonthlyCosts, so fully past months
+ * come from the Report cache and only the open month is computed live.
+ * 'target' is a resolved currency ({ currency, table }) all amounts are converted into.
+ * Months are calendar months in 'timeZone', or budgeting months with a
+ * 'startDay' after the 1st; 'extraFilter' as in buildMonthlyCosts.
+ * 'items' holds every cost as a flat row, used by the CSV export.
+ * 'reimbursement' is the personal/pending/reimbursed split of the total.
+ * Unless filtered, every month also carries its 'income' and 'net' balance
+ * and 'balance' sums them up for the whole range.
+ */
+const MAX_RANGE_MONTHS = 120;
+
+async function buildRangeReport(userid, from, to, target, timeZone, extraFilter = {}, startDay = 1) {
+    const months = [];
+    const items = [];
+    const categories = {};
+    const reimbursement = { personal: 0, pending: 0, reimbursed: 0 };
+    const withBalance = !tagging.isFiltered(extraFilter);
+    let total = 0;
+    let income = 0;
+
+    let y = from.year;
+    let m = from.month;
+
+    while (y < to.year || (y === to.year && m <= to.month)) {
+        const costsArr = await buildMonthlyCosts(userid, y, m, timeZone, extraFilter, startDay);
+        const converted = convertMonthlyCosts(costsArr, target.currency, target.table);
+        const summary = summarizeMonth(converted, target.currency);
+
+        const entry = { year: y, month: m, totals: summary.totals, total: summary.total };
+        if (withBalance) {
+            const monthBalance = incomes.balance(
+                await incomes.monthIncome(userid, y, m, timeZone, target, startDay),
+                summary.total,
+                target.currency
+            );
+            entry.income = monthBalance.income;
+            entry.net = monthBalance.net;
+            income = money.addAll([income, monthBalance.income], target.currency);
+        }
+        months.push(entry);
+        flattenMonthlyCosts(converted, startDay).forEach(row => items.push({ year: y, month: m, ...row }));
+        Object.entries(summary.totals).forEach(([category, sum]) => {
+            categories[category] = money.addAll([categories[category] || 0, sum], target.currency);
+        });
+        total = money.addAll([total, summary.total], target.currency);
+        Object.entries(reimbursements.splitTotals(converted, target.currency)).forEach(([bucket, sum]) => {
+            reimbursement[bucket] = money.addAll([reimbursement[bucket], sum], target.currency);
+        });
+
+        m += 1;
+        if (m > 12) {
+            m = 1;
+            y += 1;
+        }
+    }
+    return {
+        months,
+        categories,
+        total,
+        reimbursement,
+        ...(withBalance && { balance: incomes.balance(income, total, target.currency) }),
+        items
+    };
+}
+/*
+ * Range Report Output:
+ * Shared by the range and yearly endpoints once the report is built.
+ */
+function sendRangeReport(res, format, report, items, filename) {
+    if (format === 'csv') {
+        return sendCsv(res, filename, ['year', 'month', 'category', 'day', 'description', 'sum'], items);
+    }
+    if (format === 'html') {
+        return res.type('html').send(statement.renderRangeStatement(report));
+    }
+    return res.json(report);
+}
+/*
+ * Range Validation Helper:
+ * Shared by the range and yearly endpoints. Returns an error message
+ * for an empty, reversed or too long range, otherwise null.
+ */
+function validateRange(from, to) {
+    const count = (to.year - from.year) * 12 + (to.month - from.month) + 1;
+    if (count < 1) return 'from must not be after to';
+    if (count > MAX_RANGE_MONTHS) return `range must not exceed ${MAX_RANGE_MONTHS} months`;
+    return null;
+}
+/*
+ * GET /api/report/range
+ * Date-Range Report:
+ * Returns totals for every month from 'from' to 'to' (YYYY-MM, inclusive),
+ * per-category totals for the whole range and a grand total.
+ * Supports the same output formats and tag/metadata filters as GET /api/report.
+ */
+app.get('/api/report/range', async (req, res) => {
+    try {
+        const output = pickReportFormat(req);
+        if (!output.ok) {
+            return res.status(output.status).json({ id: output.status, message: output.message });
+        }
+        const userid = Number(req.query.userid ?? req.query.id);
+        const from = parseYearMonth(req.query.from);
+        const to = parseYearMonth(req.query.to);
+
+        if (Number.isNaN(userid) || !from.ok || !to.ok) {
+            return res.status(400).json({
+                id: 400,
+                message: 'userid, from, to are required (from/to as YYYY-MM)'
+            });
+        }
+        const rangeError = validateRange(from, to);
+        if (rangeError) {
+            return res.status(400).json({ id: 400, message: rangeError });
+        }
+        const tagFilter = tagging.buildFilter(req.query);
+        if (!tagFilter.ok) {
+            return res.status(400).json({ id: 400, message: tagFilter.message });
+        }
+        const settings = await fetchUserSettings(userid);
+        const target = await resolveCurrency(req.query.currency, settings.currency);
+
+        if (!target.ok) {
+            return res.status(400).json({ id: 400, message: target.message });
+        }
+        const { items, ...summary } = await buildRangeReport(
+            userid, from, to, target, settings.timeZone, tagFilter.filter, settings.monthStartDay
+        );
+        const pad = n => String(n).padStart(2, '0');
+        const filename = `report-${userid}-${from.year}-${pad(from.month)}-${to.year}-${pad(to.month)}.csv`;
+        const report = {
+            userid,
+            from: req.query.from,
+            to: req.query.to,
+            currency: target.currency,
+            timezone: settings.timeZone,
+            monthStartDay: settings.monthStartDay,
+            ...summary
+        };
+        return sendRangeReport(res, output.format, report, items, filename);
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * GET /api/report/year
+ * Yearly Report:
+ * Same output as the range report, covering January to December of 'year'.
+ */
+app.get('/api/report/year', async (req, res) => {
+    try {
+        const output = pickReportFormat(req);
+        if (!output.ok) {
+            return res.status(output.status).json({ id: output.status, message: output.message });
+        }
+        const userid = Number(req.query.userid ?? req.query.id);
+        const year = Number(req.query.year);
+
+        if (Number.isNaN(userid) || !Number.isInteger(year)) {
+            return res.status(400).json({
+                id: 400,
+                message: 'userid and year are required and must be numbers'
+            });
+        }
+        const tagFilter = tagging.buildFilter(req.query);
+        if (!tagFilter.ok) {
+            return res.status(400).json({ id: 400, message: tagFilter.message });
+        }
+        const settings = await fetchUserSettings(userid);
+        const target = await resolveCurrency(req.query.currency, settings.currency);
+
+        if (!target.ok) {
+            return res.status(400).json({ id: 400, message: target.message });
+        }
+        const { items, ...summary } = await buildRangeReport(
+            userid, { year, month: 1 }, { year, month: 12 }, target, settings.timeZone, tagFilter.filter, settings.monthStartDay
+        );
+        const report = {
+            userid,
+            year,
+            currency: target.currency,
+            timezone: settings.timeZone,
+            monthStartDay: settings.monthStartDay,
+            ...summary
+        };
+        return sendRangeReport(res, output.format, report, items, `report-${userid}-${year}.csv`);
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * GET /api/analytics
+ * Spending Analytics:
+ * Month-over-month change per category, 3/6/12-month averages, category
+ * shares, the top 'top' descriptions (default 5, max 50) and the spending per
+ * day of the week for a user. 'year' and 'month' pick the reference month
+ * (default: the current month in the user's zone). Amounts follow the same
+ * currency rules as GET /api/report.
+ */
+const MAX_TOP_DESCRIPTIONS = 50;
+
+app.get('/api/analytics', async (req, res) => {
+    try {
+        const userid = Number(req.query.userid);
+        if (req.query.userid == null || Number.isNaN(userid)) {
+            return res.status(400).json({ id: 400, message: 'userid is required and must be a number' });
+        }
+        const hasYear = req.query.year != null;
+        const hasMonth = req.query.month != null;
+        if (hasYear !== hasMonth) {
+            return res.status(400).json({ id: 400, message: 'year and month must be sent together' });
+        }
+        const top = req.query.top != null ? Number(req.query.top) : 5;
+        if (!Number.isInteger(top) || top < 1 || top > MAX_TOP_DESCRIPTIONS) {
+            return res.status(400).json({ id: 400, message: `top must be an integer between 1 and ${MAX_TOP_DESCRIPTIONS}` });
+        }
+        const settings = await fetchUserSettings(userid);
+        const now = timezone.zonedParts(new Date(), settings.timeZone);
+        const year = hasYear ? Number(req.query.year) : now.year;
+        const month = hasMonth ? Number(req.query.month) : now.month;
+
+        if (!Number.isInteger(year) || !Number.isInteger(month) || month < 1 || month > 12) {
+            return res.status(400).json({ id: 400, message: 'year must be a number and month 1-12' });
+        }
+        const target = await resolveCurrency(req.query.currency, settings.currency);
+
+        if (!target.ok) {
+            return res.status(400).json({ id: 400, message: target.message });
+        }
+        const result = await analytics.buildAnalytics(userid, year, month, target, settings.timeZone, top);
+
+        return res.json({
+            userid,
+            year,
+            month,
+            currency: target.currency,
+            timezone: settings.timeZone,
+            ...result
+        });
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * GET /api/tags
+ * Tag Totals:
+ * Returns { userid, currency, tags: [{ tag, count, total }] } with the
+ * spending per tag of a user, optionally between from and to (as in
+ * GET /api/costs). Amounts follow the same currency rules as GET /api/report.
+ */
+app.get('/api/tags', async (req, res) => {
+    try {
+        const userid = Number(req.query.userid);
+        if (req.query.userid == null || Number.isNaN(userid)) {
+            return res.status(400).json({ id: 400, message: 'userid is required and must be a number' });
+        }
+        let createdAt;
+        if (req.query.from != null || req.query.to != null) {
+            const window = await parseDateWindow(req.query, userid);
+            if (!window.ok) return res.status(400).json({ id: 400, message: window.message });
+            createdAt = window.createdAt;
+        }
+        const settings = await fetchUserSettings(userid);
+        const target = await resolveCurrency(req.query.currency, settings.currency);
+
+        if (!target.ok) {
+            return res.status(400).json({ id: 400, message: target.message });
+        }
+        const tags = await analytics.buildTagTotals(userid, createdAt, target);
+        return res.json({ userid, currency: target.currency, tags });
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * GET /api/stats
+ * System Stats:
+ * Spending across all users (admins, auditors and services only), optionally
+ * between from and to (plain days in DEFAULT_TIMEZONE). Returns
+ * { currency, total, count, users, categories, perUser, months } in
+ * 'currency' (BASE_CURRENCY by default); see analytics.buildSystemStats.
+ */
+app.get('/api/stats', auth.requireRole('admin', 'auditor'), async (req, res) => {
+    try {
+        let createdAt;
+        if (req.query.from != null || req.query.to != null) {
+            const window = await parseDateWindow(req.query);
+            if (!window.ok) return res.status(400).json({ id: 400, message: window.message });
+            createdAt = window.createdAt;
+        }
+        const target = await resolveCurrency(req.query.currency);
+
+        if (!target.ok) {
+            return res.status(400).json({ id: 400, message: target.message });
+        }
+        const stats = await analytics.buildSystemStats(createdAt, target);
+        return res.json({ currency: target.currency, ...stats });
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * POST /api/income
+ * Income Entry:
+ * Records money a user received. Validated with the same rules as
+ * POST /api/add, with 'source' (e.g. salary, refund) in place of 'category';
+ * sources are free text and not checked against the category catalog.
+ */
+app.post('/api/income', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const input = validateCostInput({ ...body, category: body.source, tags: undefined, metadata: undefined });
+
+        if (!input.ok) {
+            await writeLog('POST', '/api/income', 400);
+            return res.status(400).json({ id: 400, message: input.message });
+        }
+        const { userid, sum, description } = input.fields;
+        const currency = input.fields.currency || rates.BASE_CURRENCY;
+        const table = await rates.getRateTable();
+
+        if (table[currency] == null) {
+            await writeLog('POST', '/api/income', 400);
+            return res.status(400).json({ id: 400, message: 'Unknown currency' });
+        }
+        const userCheck = await checkUserExists(userid);
+
+        if (!userCheck.ok) {
+            await writeLog('POST', '/api/income', userCheck.status);
+            return res.status(userCheck.status).json(userCheck.error);
+        }
+        const income = await Income.create({
+            userid,
+            sum,
+            currency,
+            source: input.fields.category,
+            description,
+            createdAt: createdAtInZone(input, userCheck.timeZone) || new Date()
+        });
+
+        await writeLog('POST', '/api/income', 201);
+        return res.status(201).json(income);
+    } catch (err) {
+        await writeLog('POST', '/api/income', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * GET /api/income
+ * Lists a user's incomes, newest first ('userid' is required). Optional
+ * filters: from/to (as in GET /api/costs) and source.
+ */
+app.get('/api/income', async (req, res) => {
+    try {
+        const userid = Number(req.query.userid);
+
+        if (req.query.userid == null || Number.isNaN(userid)) {
+            return res.status(400).json({ id: 400, message: 'userid is required and must be a number' });
+        }
+        const filter = { userid };
+
+        if (req.query.from != null || req.query.to != null) {
+            const window = await parseDateWindow(req.query, userid);
+            if (!window.ok) return res.status(400).json({ id: 400, message: window.message });
+            filter.createdAt = window.createdAt;
+        }
+        if (req.query.source != null && req.query.source !== '') {
+            filter.source = String(req.query.source).trim().toLowerCase();
+        }
+        const list = await Income.find(filter).sort({ createdAt: -1 });
+        return res.json(list);
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * DELETE /api/income/:id
+ * Removes a single income entry and returns it.
+ */
+app.delete('/api/income/:id', async (req, res) => {
+    try {
+        const incomeId = Number(req.params.id);
+
+        if (Number.isNaN(incomeId)) {
+            await writeLog('DELETE', '/api/income/:id', 400);
+            return res.status(400).json({ id: 400, message: 'Invalid income id' });
+        }
+        const income = await Income.findOneAndDelete({ id: incomeId, ...ownedBy(req) });
+        if (!income) {
+            await writeLog('DELETE', '/api/income/:id', 404);
+            return res.status(404).json({ id: 404, message: 'Income not found' });
+        }
+        await writeLog('DELETE', '/api/income/:id', 200);
+        return res.json(income);
+    } catch (err) {
+        await writeLog('DELETE', '/api/income/:id', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * GET /api/total
+ * Aggregation Endpoint:
+ * Calculates the sum of all costs for a specific user.
+ * Typically used by the users-service to show total expenses.
+ * The total is returned in 'currency' (query), else 'defaultCurrency' if it
+ * has a rate, else the base currency. The user's default is not looked up
+ * here because users-service calls this endpoint and passes it as 'defaultCurrency'.
+ * 'total' stays the sum of all costs; 'income', 'expenses' (same as total)
+ * and 'net' give the user's all-time balance.
+ */
+app.get('/api/total', async (req, res) => {
+    try {
+        const userid = Number(req.query.userid ?? req.query.id);
+
+        if (Number.isNaN(userid)) {
+            return res.status(400).json({ id: 400, message: 'Invalid userid' });
+        }
+        const target = await resolveCurrency(req.query.currency, req.query.defaultCurrency);
+
+        if (!target.ok) {
+            return res.status(400).json({ id: 400, message: target.message });
+        }
+        /*
+         * MongoDB Aggregation Pipeline:
+         * 1. Match documents by userid.
+         * 2. Sum the 'sum' field per original currency.
+         */
+        const result = await Cost.aggregate([
+            { $match: { userid } },
+            { $group: { _id: '$currency', total: { $sum: '$sum' } } }
+        ]);
+        /*
+         * Conversion:
+         * Each currency's subtotal is an exact Decimal128; convert it and
+         * add the results in minor units of the target currency.
+         */
+        const total = money.addAll(
+            result.map(r => rates.convertAmount(money.toNumber(r.total), r._id, target.currency, target.table)),
+            target.currency
+        );
+
+        const income = await incomes.totalIncome(userid, target);
+
+        // Return the total along with userid for context.
+        return res.json({ userid, currency: target.currency, total, ...incomes.balance(income, total, target.currency) });
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * GET /api/rates
+ * Exchange-Rate Table:
+ * Lists the locally stored rates, each expressed in the base currency.
+ */
+app.get('/api/rates', async (req, res) => {
+    try {
+        const table = await rates.getRateTable();
+        const list = Object.entries(table).map(([currency, rate]) => ({ currency, rate }));
+        return res.json({ base: rates.BASE_CURRENCY, rates: list });
+    } catch (err) {
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * POST /api/rates
+ * Rate Upload:
+ * Adds or updates rates using the same JSON format as a rates file
+ * (an array of { currency, rate } or an object { USD: 3.7 }).
+ * Admins and services only.
+ */
+app.post('/api/rates', auth.requireRole('admin'), async (req, res) => {
+    try {
+        let parsed;
+        try {
+            parsed = rates.parseRates(req.body, 'json');
+        } catch (e) {
+            await writeLog('POST', '/api/rates', 400);
+            return res.status(400).json({ id: 400, message: e.message });
+        }
+        /*
+         * Base Currency Guard:
+         * The base currency is always 1 and cannot be overridden.
+         */
+        if (parsed.some(r => r.currency === rates.BASE_CURRENCY)) {
+            await writeLog('POST', '/api/rates', 400);
+            return res.status(400).json({ id: 400, message: 'The base currency rate cannot be changed' });
+        }
+        const count = await rates.saveRates(parsed);
+
+        await writeLog('POST', '/api/rates', 200);
+        return res.json({ base: rates.BASE_CURRENCY, updated: count });
+    } catch (err) {
+        await writeLog('POST', '/api/rates', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
 /*
  * Server Startup:
  * Listens on the configured PORT (default 3001).
@@ -0,0 +1,84 @@
+const Budget = require('./models/Budget');
+const Cost = require('./models/Cost');
+const rates = require('./rates');
+const money = require('./money');
+const timezone = require('./timezone');
+/*
+ * Month Budgets:
+ * Returns a Map of category -> budget document that applies to the given
+ * user and month. Month-specific budgets override recurring ones.
+ */
+async function getBudgetsForMonth(userid, year, month) {
+    const docs = await Budget.find({
+        userid,
+        $or: [{ year, month }, { year: null, month: null }]
+    }).lean();
+
+    const byCategory = new Map();
+    docs.forEach(b => {
+        const current = byCategory.get(b.category);
+        if (!current || current.year == null) byCategory.set(b.category, b);
+    });
+    return byCategory;
+}
+/*
+ * Month Spending:
+ * Total spent by a user in one category and month (a calendar month in
+ * 'timeZone', or a budgeting month with a 'startDay' after the 1st, see
+ * timezone.monthWindow), converted into 'currency' and added up exactly.
+ */
+async function getMonthSpent(userid, category, year, month, currency, table, timeZone, startDay = 1) {
+    const { start, end } = timezone.monthWindow(year, month, timeZone, startDay);
+    const result = await Cost.aggregate([
+        {
+            $match: {
+                userid,
+                category,
+                createdAt: { $gte: start, $lt: end }
+            }
+        },
+        { $group: { _id: '$currency', total: { $sum: '$sum' } } }
+    ]);
+    return money.addAll(
+        result.map(r => rates.convertAmount(money.toNumber(r.total), r._id, currency, table)),
+        currency
+    );
+}
+/*
+ * Budget Crossing Check:
+ * Called after a cost was stored. Returns a description of the budget the
+ * cost pushed over its limit (spent before <= limit < spent after),
+ * or null when no budget applies or it was not crossed by this cost.
+ * The cost's month is taken in the owner's 'timeZone' and follows their
+ * budgeting month ('startDay'), like the monthly report.
+ */
+async function findCrossedBudget(cost, timeZone, startDay = 1) {
+    const { year, month } = timezone.monthOf(cost.createdAt, timeZone, startDay);
+
+    const budget = (await getBudgetsForMonth(cost.userid, year, month)).get(cost.category);
+    if (!budget) return null;
+
+    const currency = budget.currency || rates.BASE_CURRENCY;
+    const table = await rates.getRateTable();
+    const limit = money.toNumber(budget.amount);
+    const spent = await getMonthSpent(cost.userid, cost.category, year, month, currency, table, timeZone, startDay);
+    const added = rates.convertAmount(money.toNumber(cost.sum), cost.currency, currency, table);
+    const before = money.addAll([spent, -added], currency);
+
+    if (spent <= limit || before > limit) return null;
+    return {
+        userid: cost.userid,
+        category: cost.category,
+        year,
+        month,
+        currency,
+        budget: limit,
+        spent
+    };
+}
+
+module.exports = {
+    getBudgetsForMonth,
+    getMonthSpent,
+    findCrossedBudget
+};
@@ -0,0 +1,76 @@
+const Category = require('./models/Category');
+/*
+ * Default Catalog:
+ * The categories every report listed before the catalog existed.
+ * Seeded (in this order) when the catalog is empty.
+ */
+const DEFAULT_CATEGORIES = ['food', 'health', 'housing', 'sports', 'education'];
+/*
+ * Strict Mode:
+ * With STRICT_CATEGORIES=true, costs may only use catalog categories
+ * (or their aliases); otherwise unknown categories are still accepted.
+ */
+function isStrict() {
+    return process.env.STRICT_CATEGORIES === 'true';
+}
+/*
+ * Name Normalization:
+ * Same rule as cost categories: trimmed and lower-case.
+ */
+function normalize(name) {
+    return (name == null) ? '' : String(name).trim().toLowerCase();
+}
+/*
+ * Catalog Seeding:
+ * Inserts the default categories one by one (to keep their order)
+ * when the collection is empty.
+ */
+async function seedDefaults() {
+    if (await Category.estimatedDocumentCount() > 0) return;
+    for (const name of DEFAULT_CATEGORIES) {
+        await Category.create({ name });
+    }
+}
+/*
+ * Catalog Names:
+ * All canonical names in creation order, as used by the reports.
+ */
+async function listNames() {
+    const docs = await Category.find({}, { name: 1 }).sort({ _id: 1 }).lean();
+    return docs.map(d => d.name);
+}
+/*
+ * Category Resolution:
+ * Maps a (normalized) name or alias to its canonical catalog name.
+ * Returns null when neither matches.
+ */
+async function resolve(name) {
+    const key = normalize(name);
+    if (!key) return null;
+    const doc = await Category.findOne({ $or: [{ name: key }, { aliases: key }] }).lean();
+    return doc ? doc.name : null;
+}
+/*
+ * Category Check for Writes:
+ * Returns { ok: true, category } with the canonical name, or the unchanged
+ * name when it is unknown and strict mode is off; { ok: false, message } otherwise.
+ */
+async function checkCategory(name) {
+    const key = normalize(name);
+    // Missing categories are reported by the caller's own validation.
+    if (!key) return { ok: true, category: '' };
+    const canonical = await resolve(key);
+    if (canonical) return { ok: true, category: canonical };
+    if (isStrict()) return { ok: false, message: `Unknown category: ${key}` };
+    return { ok: true, category: key };
+}
+
+module.exports = {
+    DEFAULT_CATEGORIES,
+    isStrict,
+    normalize,
+    seedDefaults,
+    listNames,
+    resolve,
+    checkCategory
+};
@@ -0,0 +1,99 @@
+/*
+ * CSV Helpers:
+ * Minimal RFC 4180 style parsing: comma separated, fields may be quoted
+ * with double quotes ("" inside quotes is a literal quote), CRLF or LF
+ * line endings. The first line holds the column names.
+ */
+/*
+ * Record Splitter:
+ * Returns an array of records, each an array of raw field strings.
+ * Quoted fields may contain commas and line breaks.
+ */
+function parseRecords(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    // Skip blank lines.
+    return records.filter(r => r.length > 1 || r[0].trim() !== '');
+}
+/*
+ * Object Parser:
+ * Maps every data line to an object keyed by the (trimmed) header names.
+ * Missing trailing fields are left undefined.
+ */
+function parseCsv(text) {
+    const records = parseRecords(String(text).replace(/^\uFEFF/, ''));
+    if (records.length === 0) return [];
+
+    const header = records[0].map(h => h.trim());
+    return records.slice(1).map(values => {
+        const row = {};
+        header.forEach((name, i) => {
+            if (values[i] !== undefined) row[name] = values[i].trim();
+        });
+        return row;
+    });
+}
+
+/*
+ * Field Formatter:
+ * Quotes a value when it contains a comma, quote or line break.
+ * Text starting with =, +, -, @, a tab or a carriage return is prefixed with a quote (')
+ * so spreadsheet programs do not evaluate it as a formula.
+ */
+function formatField(value) {
+    if (value == null) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+/*
+ * CSV Writer:
+ * Builds CSV text with a header line from 'columns' and one line per row
+ * object (values looked up by column name). Lines end with CRLF.
+ */
+function toCsv(columns, rows) {
+    const lines = [columns.map(formatField).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(c => formatField(row[c])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    toCsv
+};
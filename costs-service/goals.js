@@ -0,0 +1,188 @@
+const Cost = require('./models/Cost');
+const rates = require('./rates');
+const money = require('./money');
+const timezone = require('./timezone');
+const budgets = require('./budgets');
+const incomes = require('./income');
+/*
+ * Savings Goals:
+ * Progress is what was put aside so far: manual contributions plus, for
+ * goals with 'fromBudgets', the unspent part of every budget in each
+ * completed month since the goal was created. The projection adds a
+ * monthly saving pace, taken from the last HISTORY_MONTHS completed months,
+ * for every month left until the deadline (see savingPace).
+ */
+const HISTORY_MONTHS = 6;
+
+function shiftMonth(year, month, delta) {
+    const d = new Date(Date.UTC(year, month - 1 + delta, 1));
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1 };
+}
+
+function monthIndex(year, month) {
+    return year * 12 + (month - 1);
+}
+/*
+ * Month Expenses:
+ * All of a user's costs in one calendar month of 'timeZone', converted
+ * into the target currency ({ currency, table }).
+ */
+async function monthExpenses(userid, year, month, timeZone, target) {
+    const { start, end } = timezone.monthWindow(year, month, timeZone);
+    const rows = await Cost.aggregate([
+        { $match: { userid, createdAt: { $gte: start, $lt: end } } },
+        { $group: { _id: '$currency', total: { $sum: '$sum' } } }
+    ]);
+    return money.addAll(
+        rows.map(r => rates.convertAmount(money.toNumber(r.total), r._id, target.currency, target.table)),
+        target.currency
+    );
+}
+/*
+ * Unspent Budget:
+ * The sum of (limit - spent) over the budgets of one month that were not
+ * exceeded; an exceeded budget adds nothing.
+ */
+async function unspentBudget(userid, year, month, timeZone, target) {
+    const monthBudgets = await budgets.getBudgetsForMonth(userid, year, month);
+    const left = [];
+    for (const b of monthBudgets.values()) {
+        const limit = rates.convertAmount(money.toNumber(b.amount), b.currency, target.currency, target.table);
+        const spent = await budgets.getMonthSpent(
+            userid, b.category, year, month, target.currency, target.table, timeZone
+        );
+        if (spent < limit) left.push(money.addAll([limit, -spent], target.currency));
+    }
+    return money.addAll(left, target.currency);
+}
+/*
+ * Budget Contributions:
+ * One entry { year, month, sum } per completed month from the goal's
+ * creation month up to the deadline month, skipping months with nothing left.
+ */
+async function budgetContributions(goal, timeZone, target, now) {
+    if (!goal.fromBudgets) return [];
+    const first = timezone.zonedParts(goal.createdAt || now, timeZone);
+    const last = timezone.zonedParts(goal.deadline, timeZone);
+    const current = timezone.zonedParts(now, timeZone);
+    const end = Math.min(monthIndex(last.year, last.month), monthIndex(current.year, current.month) - 1);
+
+    const out = [];
+    let m = { year: first.year, month: first.month };
+    while (monthIndex(m.year, m.month) <= end) {
+        const sum = await unspentBudget(goal.userid, m.year, m.month, timeZone, target);
+        if (sum > 0) out.push({ year: m.year, month: m.month, sum });
+        m = shiftMonth(m.year, m.month, 1);
+    }
+    return out;
+}
+/*
+ * Progress:
+ * { manual, budgets, saved, remaining } in the goal's currency, plus the
+ * derived budget contributions themselves.
+ */
+async function goalProgress(goal, timeZone, target, now = new Date()) {
+    const currency = target.currency;
+    const manual = money.addAll(goal.contributions.map(c => money.toNumber(c.sum)), currency);
+    const fromBudgets = await budgetContributions(goal, timeZone, target, now);
+    const budgetTotal = money.addAll(fromBudgets.map(c => c.sum), currency);
+    const saved = money.addAll([manual, budgetTotal], currency);
+    const goalTarget = money.toNumber(goal.target);
+
+    return {
+        target: goalTarget,
+        manual,
+        budgets: budgetTotal,
+        saved,
+        remaining: Math.max(0, money.addAll([goalTarget, -saved], currency)),
+        budgetContributions: fromBudgets
+    };
+}
+/*
+ * Saving Pace:
+ * With income on record, the average monthly net (income - expenses).
+ * Without income the net is never positive, so the pace is what the user
+ * actually puts aside: the average unspent budget of the history months
+ * (for 'fromBudgets' goals) plus the manual contributions spread over the
+ * months since the goal was created.
+ * Returns { basis: 'net' | 'savings', perMonth }.
+ */
+async function savingPace(goal, history, months, progress, timeZone, target, now) {
+    const currency = target.currency;
+    if (history.income > 0) {
+        return { basis: 'net', perMonth: Math.max(0, history.net) };
+    }
+    const unspent = [];
+    if (goal.fromBudgets) {
+        for (const m of months) {
+            unspent.push(await unspentBudget(goal.userid, m.year, m.month, timeZone, target));
+        }
+    }
+    const current = timezone.zonedParts(now, timeZone);
+    const first = timezone.zonedParts(goal.createdAt || now, timeZone);
+    const monthsSince = Math.max(1, monthIndex(current.year, current.month) - monthIndex(first.year, first.month) + 1);
+    return {
+        basis: 'savings',
+        perMonth: money.addAll([
+            money.round(money.addAll(unspent, currency) / HISTORY_MONTHS, currency),
+            money.round(progress.manual / monthsSince, currency)
+        ], currency)
+    };
+}
+/*
+ * Projection:
+ * Months left counts the current month and the deadline month. 'status' is
+ * 'met' once the target is saved, 'missed' when the deadline passed without
+ * it, otherwise 'on_track' or 'behind' depending on whether the saving
+ * pace covers the remaining amount in time.
+ */
+async function projectGoal(goal, timeZone, target, now = new Date()) {
+    const currency = target.currency;
+    const progress = await goalProgress(goal, timeZone, target, now);
+    const current = timezone.zonedParts(now, timeZone);
+    const last = timezone.zonedParts(goal.deadline, timeZone);
+    const monthsLeft = goal.deadline >= timezone.zonedMidnight(current.year, current.month, current.day, timeZone)
+        ? monthIndex(last.year, last.month) - monthIndex(current.year, current.month) + 1
+        : 0;
+    /*
+     * History:
+     * The completed months before the current one; months without
+     * costs or income count as zero.
+     */
+    const months = [];
+    const expenses = [];
+    const income = [];
+    for (let i = HISTORY_MONTHS; i >= 1; i -= 1) {
+        const m = shiftMonth(current.year, current.month, -i);
+        months.push(m);
+        expenses.push(await monthExpenses(goal.userid, m.year, m.month, timeZone, target));
+        income.push(await incomes.monthIncome(goal.userid, m.year, m.month, timeZone, target));
+    }
+    const average = list => money.round(money.addAll(list, currency) / HISTORY_MONTHS, currency);
+    const history = incomes.balance(average(income), average(expenses), currency);
+
+    const pace = await savingPace(goal, history, months, progress, timeZone, target, now);
+    const projected = money.addAll([progress.saved, pace.perMonth * monthsLeft], currency);
+    let status;
+    if (progress.remaining === 0) status = 'met';
+    else if (monthsLeft === 0) status = 'missed';
+    else status = projected >= progress.target ? 'on_track' : 'behind';
+
+    return {
+        goalId: goal.id,
+        currency,
+        deadline: goal.deadline,
+        ...progress,
+        monthsLeft,
+        requiredPerMonth: monthsLeft > 0 ? money.round(progress.remaining / monthsLeft, currency) : null,
+        history: { months: HISTORY_MONTHS, averageIncome: history.income, averageExpenses: history.expenses, averageNet: history.net },
+        pace,
+        projected,
+        status
+    };
+}
+
+module.exports = {
+    goalProgress,
+    projectGoal
+};
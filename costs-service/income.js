@@ -0,0 +1,49 @@
+const Income = require('./models/Income');
+const rates = require('./rates');
+const money = require('./money');
+const timezone = require('./timezone');
+/*
+ * Income Totals:
+ * Sums a user's incomes per original currency in the database, then
+ * converts every subtotal into the target currency ({ currency, table })
+ * and adds them up exactly in minor units.
+ */
+async function sumIncome(match, target) {
+    const rows = await Income.aggregate([
+        { $match: match },
+        { $group: { _id: '$currency', total: { $sum: '$sum' } } }
+    ]);
+    return money.addAll(
+        rows.map(r => rates.convertAmount(money.toNumber(r.total), r._id, target.currency, target.table)),
+        target.currency
+    );
+}
+/*
+ * Monthly Income:
+ * Total income of one calendar month in 'timeZone' (or of a budgeting
+ * month, see timezone.monthWindow).
+ */
+function monthIncome(userid, year, month, timeZone, target, startDay = 1) {
+    const { start, end } = timezone.monthWindow(year, month, timeZone, startDay);
+    return sumIncome({ userid, createdAt: { $gte: start, $lt: end } }, target);
+}
+/*
+ * All-Time Income:
+ * Used by GET /api/total next to the all-time expenses.
+ */
+function totalIncome(userid, target) {
+    return sumIncome({ userid }, target);
+}
+/*
+ * Balance:
+ * { income, expenses, net } where net = income - expenses, in 'currency'.
+ */
+function balance(income, expenses, currency) {
+    return { income, expenses, net: money.addAll([income, -expenses], currency) };
+}
+
+module.exports = {
+    monthIncome,
+    totalIncome,
+    balance
+};
@@ -0,0 +1,46 @@
+require('dotenv').config();
+/*
+ * Cost Id Backfill (one-off):
+ * Costs created before public ids existed have no 'id', so the endpoints
+ * that edit or delete a cost by id cannot reach them. Gives each of them
+ * the next value of the 'costs' sequence, oldest first, like a new cost.
+ * Safe to run more than once: costs that already have an id are skipped.
+ *
+ * Usage: npm run migrate:ids   (uses MONGODB_URI from .env)
+ */
+const mongoose = require('mongoose');
+const Counter = require('costmanager-shared/models/Counter')(mongoose);
+const Cost = require('./models/Cost');
+
+async function migrate() {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const missing = await Cost.collection
+        .find({ id: null }, { projection: { _id: 1 } })
+        .sort({ createdAt: 1, _id: 1 })
+        .toArray();
+
+    if (missing.length === 0) {
+        console.log('Every cost already has an id');
+        return;
+    }
+    /*
+     * Id Block:
+     * One reservation covers every cost, so ids issued meanwhile by the
+     * running service never overlap. The 'id: null' filter keeps a cost
+     * that got an id in the meantime unchanged.
+     */
+    const last = await Counter.next('costs', missing.length);
+    const first = last - missing.length + 1;
+    const result = await Cost.collection.bulkWrite(missing.map((doc, i) => ({
+        updateOne: { filter: { _id: doc._id, id: null }, update: { $set: { id: first + i } } }
+    })));
+    console.log(`Assigned ids ${first}-${last} to ${result.modifiedCount} costs`);
+}
+
+migrate()
+    .catch(err => {
+        console.error('Cost id backfill failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
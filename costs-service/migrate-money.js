@@ -0,0 +1,52 @@
+require('dotenv').config();
+/*
+ * Money Migration (one-off):
+ * Converts Cost.sum values stored as doubles (or integers) by earlier
+ * versions into Decimal128 rounded to the decimal places of each cost's
+ * currency (the base currency when it has none), then clears the
+ * Report cache so every past month is recomputed from exact amounts.
+ * Safe to run more than once: already migrated documents are skipped.
+ *
+ * Usage: npm run migrate:money   (uses MONGODB_URI from .env)
+ */
+const mongoose = require('mongoose');
+const Cost = require('./models/Cost');
+const Report = require('./models/Report');
+const money = require('./money');
+const { BASE_CURRENCY } = require('./rates');
+
+async function migrate() {
+    await mongoose.connect(process.env.MONGODB_URI);
+    /*
+     * Sum Conversion:
+     * An update pipeline lets MongoDB convert each value in place,
+     * so no document is loaded into JavaScript doubles on the way. Each
+     * currency is converted separately with its own decimal places; null
+     * stands for costs without a currency.
+     */
+    const legacy = { sum: { $type: ['double', 'int', 'long'] } };
+    const currencies = (await Cost.collection.distinct('currency', legacy)).filter(c => c != null);
+
+    let converted = 0;
+    for (const currency of [...currencies, null]) {
+        const costs = await Cost.collection.updateMany(
+            { ...legacy, currency },
+            [{ $set: { sum: { $round: [{ $toDecimal: '$sum' }, money.decimalsFor(currency || BASE_CURRENCY)] } } }]
+        );
+        converted += costs.modifiedCount;
+    }
+    console.log(`Converted ${converted} cost sums to Decimal128`);
+    /*
+     * Cache Reset (Computed Pattern):
+     * Cached reports were built from the old values.
+     */
+    const reports = await Report.deleteMany({});
+    console.log(`Cleared ${reports.deletedCount} cached reports`);
+}
+
+migrate()
+    .catch(err => {
+        console.error('Money migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
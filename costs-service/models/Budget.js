@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Counter = require('costmanager-shared/models/Counter')(mongoose);
+const money = require('../money');
+/*
+ * Budget Model
+ * A spending limit for one user and category.
+ * With 'year' and 'month' set it applies to that month only; without them
+ * it is a recurring monthly budget. A month-specific budget takes
+ * precedence over the recurring one of the same category.
+ */
+const budgetSchema = new mongoose.Schema(
+    {
+        /*
+         * Public ID:
+         * Numerical identifier drawn from the 'budgets' sequence.
+         */
+        id: {
+            type: Number,
+            unique: true
+        },
+        userid: { type: Number, required: true },
+        category: { type: String, required: true },
+        /*
+         * Limit:
+         * Exact decimal amount in 'currency' (the base currency when absent).
+         */
+        amount: { type: mongoose.Schema.Types.Decimal128, required: true },
+        currency: { type: String, uppercase: true },
+        /*
+         * Period:
+         * Both set for a single month, both null for every month.
+         */
+        year: { type: Number, default: null },
+        month: { type: Number, default: null }
+    },
+    { timestamps: true }
+);
+/*
+ * Unique index:
+ * One budget per user, category and period (null period = recurring).
+ */
+budgetSchema.index({ userid: 1, category: 1, year: 1, month: 1 }, { unique: true });
+/*
+ * ID Assignment:
+ * New budgets get the next value of the 'budgets' sequence.
+ */
+budgetSchema.pre('validate', async function () {
+    if (this.isNew && this.id == null) {
+        this.id = await Counter.next('budgets');
+    }
+});
+/*
+ * Data Sanitization (JSON):
+ * Remove internal fields and expose the amount as a plain number.
+ */
+budgetSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        ret.amount = money.toNumber(ret.amount);
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Budget', budgetSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+/*
+ * Category Model
+ * The managed catalog of cost categories. Reports list the catalog
+ * categories (in creation order) and POST /api/add maps aliases to them.
+ */
+const categorySchema = new mongoose.Schema(
+    {
+        /*
+         * Name:
+         * Canonical lower-case name stored on cost items.
+         */
+        name: {
+            type: String,
+            required: true,
+            unique: true,
+            lowercase: true,
+            trim: true
+        },
+        /*
+         * Aliases:
+         * Alternative spellings (e.g. 'grocery' for 'groceries') that are
+         * stored under the canonical name. Merged categories become aliases.
+         */
+        aliases: {
+            type: [String],
+            default: []
+        },
+        /*
+         * Parent:
+         * Optional name of a broader catalog category (e.g. 'food' for 'groceries').
+         */
+        parent: {
+            type: String,
+            default: null
+        }
+    },
+    { timestamps: true }
+);
+
+categorySchema.index({ aliases: 1 });
+/*
+ * Data Sanitization (JSON):
+ * Remove internal database fields for cleaner API responses.
+ */
+categorySchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Category', categorySchema);
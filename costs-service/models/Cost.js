@@ -1,10 +1,23 @@
 const mongoose = require('mongoose');
+const Counter = require('costmanager-shared/models/Counter')(mongoose);
+const money = require('../money');
 /*
  * Cost Model
  * Represents a single cost item.
  * Each document describes one expense made by a user.
  */
 const costSchema = new mongoose.Schema({
+    /*
+     * Public ID:
+     * A stable numerical identifier exposed by the API (the internal '_id'
+     * is stripped from responses). Used to edit or delete a specific cost.
+     * Sparse so documents created before this field existed stay valid.
+     */
+    id: {
+        type: Number,
+        unique: true,
+        sparse: true
+    },
     /* * String Fields:
      * 'description' explains what the expense was for.
      * 'category' groups expenses (e.g., food, health, ect.).
@@ -26,10 +39,25 @@ const costSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    /*
+     * Sum:
+     * Stored as Decimal128 so the exact decimal amount is kept
+     * (a double would turn 0.1 + 0.2 into 0.30000000000000004).
+     * API responses expose it as a regular JSON number.
+     */
     sum: {
-        type: Number, /* Javascript numbers are always double (64-bit floating point). */
+        type: mongoose.Schema.Types.Decimal128,
         required: true
     },
+    /*
+     * Currency:
+     * Three-letter code of the currency 'sum' is expressed in.
+     * Documents without it are in the service's base currency.
+     */
+    currency: {
+        type: String,
+        uppercase: true
+    },
     /*
      * createdAt:
      * Stores the date and time when the cost item was created.
@@ -38,17 +66,143 @@ const costSchema = new mongoose.Schema({
     createdAt: {
         type: Date,
         default: Date.now
+    },
+    /*
+     * recurringId:
+     * Set on costs generated from a recurring template (its public id).
+     * Absent on costs added by hand.
+     */
+    recurringId: {
+        type: Number
+    },
+    /*
+     * groupExpenseId:
+     * Set on a member's share of a shared group expense (the expense's id).
+     * Such costs are changed only through the group expense.
+     */
+    groupExpenseId: {
+        type: Number
+    },
+    /*
+     * Tags & Metadata:
+     * 'tags' are lower-case labels that cut across categories;
+     * 'metadata' is a small map of free-form string values.
+     */
+    tags: {
+        type: [String],
+        default: undefined
+    },
+    metadata: {
+        type: Map,
+        of: String,
+        default: undefined
+    },
+    /*
+     * anomaly:
+     * Set when the sum was unusually high for the user and category at the
+     * time it was added: 'score' is the sum divided by the median of the
+     * earlier costs ('median', in this cost's currency). 'reviewed' is set
+     * once someone looked at it.
+     */
+    anomaly: {
+        type: new mongoose.Schema({
+            score: { type: Number, required: true },
+            median: { type: Number, required: true },
+            flaggedAt: { type: Date, default: Date.now },
+            reviewed: { type: Boolean, default: false }
+        }, { _id: false }),
+        default: undefined
+    },
+    /*
+     * reimbursement:
+     * Set once the cost is claimed back (e.g. a work expense). 'status' is
+     * the current step of the workflow (see reimbursements.js) and 'history'
+     * records every step: who took it, when and with what comment.
+     */
+    reimbursement: {
+        type: new mongoose.Schema({
+            status: {
+                type: String,
+                enum: ['draft', 'submitted', 'approved', 'rejected', 'paid'],
+                required: true
+            },
+            history: [new mongoose.Schema({
+                from: { type: String, required: true },
+                to: { type: String, required: true },
+                by: { type: Number, required: true },
+                comment: { type: String },
+                at: { type: Date, default: Date.now }
+            }, { _id: false })]
+        }, { _id: false }),
+        default: undefined
+    }
+});
+/*
+ * Listing Index:
+ * Supports per-user queries ordered by date (GET /api/costs, reports).
+ */
+costSchema.index({ userid: 1, createdAt: -1 });
+/*
+ * Recurring Occurrence Index:
+ * One generated cost per template and occurrence date. This is what makes
+ * the recurring scheduler idempotent across restarts.
+ */
+costSchema.index(
+    { recurringId: 1, createdAt: 1 },
+    { unique: true, partialFilterExpression: { recurringId: { $exists: true } } }
+);
+/*
+ * Tag Index:
+ * Supports per-user tag filters and the per-tag totals.
+ */
+costSchema.index({ userid: 1, tags: 1 });
+/*
+ * Text Index:
+ * Full-text search over descriptions (and categories, weighted lower)
+ * for GET /api/search. English stemming lets "dentists" match "dentist".
+ */
+costSchema.index(
+    { description: 'text', category: 'text' },
+    { name: 'cost_text', weights: { description: 3, category: 1 }, default_language: 'english' }
+);
+/*
+ * Anomaly Review Index:
+ * Supports listing flagged costs; only flagged documents are indexed.
+ */
+costSchema.index(
+    { 'anomaly.reviewed': 1, createdAt: -1 },
+    { partialFilterExpression: { anomaly: { $exists: true } } }
+);
+/*
+ * Reimbursement Index:
+ * Supports listing claims by status (GET /api/reimbursements); only costs
+ * in the workflow are indexed.
+ */
+costSchema.index(
+    { 'reimbursement.status': 1, createdAt: -1 },
+    { partialFilterExpression: { reimbursement: { $exists: true } } }
+);
+/*
+ * ID Assignment:
+ * Before validation of a new document, draw the next value from the
+ * 'costs' sequence unless an id was already provided.
+ */
+costSchema.pre('validate', async function () {
+    if (this.isNew && this.id == null) {
+        this.id = await Counter.next('costs');
     }
 });
 /*
  * Data Sanitization (JSON):
  * Configure the toJSON option to modify the output.
- * We remove internal database fields (_id, __v) for cleaner API responses.
+ * We remove internal database fields (_id, __v) for cleaner API responses
+ * and expose the Decimal128 sum as a plain number.
  */
 costSchema.set('toJSON', {
     transform: function (doc, ret) {
         delete ret._id;
         delete ret.__v;
+        ret.sum = money.toNumber(ret.sum);
         return ret;
     }
 });
@@ -61,6 +215,7 @@ costSchema.set('toObject', {
     transform: function (doc, ret) {
         delete ret._id;
         delete ret.__v;
+        ret.sum = money.toNumber(ret.sum);
         return ret;
     }
 });
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+/*
+ * ExchangeRate Model
+ * Locally managed exchange-rate table (no live feed).
+ * Each document gives the value of one unit of 'currency'
+ * expressed in the service's base currency.
+ */
+const exchangeRateSchema = new mongoose.Schema(
+    {
+        /*
+         * Currency Code:
+         * ISO 4217 three-letter code, stored upper-case.
+         * One document per currency.
+         */
+        currency: {
+            type: String,
+            required: true,
+            unique: true,
+            uppercase: true
+        },
+        /*
+         * Rate:
+         * How many base-currency units one unit of this currency is worth.
+         * For example, with base ILS a USD rate of 3.7 means 1 USD = 3.7 ILS.
+         */
+        rate: {
+            type: Number,
+            required: true,
+            min: 0
+        }
+    },
+    { timestamps: true }
+);
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Counter = require('costmanager-shared/models/Counter')(mongoose);
+const money = require('../money');
+/*
+ * Goal Model
+ * A savings goal of one user: an amount to put aside by a deadline.
+ * Manual contributions are stored on the goal; contributions derived from
+ * unspent budgets are computed when needed (see goals.js).
+ */
+const contributionSchema = new mongoose.Schema({
+    sum: { type: mongoose.Schema.Types.Decimal128, required: true },
+    note: { type: String },
+    createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const goalSchema = new mongoose.Schema(
+    {
+        /*
+         * Public ID:
+         * Numerical identifier drawn from the 'goals' sequence.
+         */
+        id: {
+            type: Number,
+            unique: true
+        },
+        userid: { type: Number, required: true },
+        name: { type: String, required: true },
+        /*
+         * Target:
+         * Exact decimal amount in 'currency' (the base currency when absent).
+         * Contributions are in the same currency.
+         */
+        target: { type: mongoose.Schema.Types.Decimal128, required: true },
+        currency: { type: String, uppercase: true },
+        /*
+         * Deadline:
+         * Midnight (in the user's zone) of the last day to reach the target.
+         */
+        deadline: { type: Date, required: true },
+        /*
+         * fromBudgets:
+         * When set, what was left of the user's budgets in every completed
+         * month since the goal was created counts as a contribution.
+         */
+        fromBudgets: { type: Boolean, default: false },
+        contributions: { type: [contributionSchema], default: [] }
+    },
+    { timestamps: true }
+);
+
+goalSchema.index({ userid: 1 });
+/*
+ * ID Assignment:
+ * New goals get the next value of the 'goals' sequence.
+ */
+goalSchema.pre('validate', async function () {
+    if (this.isNew && this.id == null) {
+        this.id = await Counter.next('goals');
+    }
+});
+/*
+ * Data Sanitization (JSON):
+ * Remove internal fields and expose the amounts as plain numbers.
+ */
+goalSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        ret.target = money.toNumber(ret.target);
+        ret.contributions = (ret.contributions || []).map(c => ({ ...c, sum: money.toNumber(c.sum) }));
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Goal', goalSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Counter = require('costmanager-shared/models/Counter')(mongoose);
+/*
+ * Group Model
+ * A household (or any set of users-service users) sharing expenses.
+ * Balances between the members are kept in the group's currency.
+ */
+const groupSchema = new mongoose.Schema(
+    {
+        /*
+         * Public ID:
+         * Numerical identifier drawn from the 'groups' sequence.
+         */
+        id: {
+            type: Number,
+            unique: true
+        },
+        name: { type: String, required: true },
+        /*
+         * Members:
+         * The userids of the users sharing this group's expenses.
+         */
+        members: {
+            type: [Number],
+            required: true
+        },
+        currency: { type: String, uppercase: true }
+    },
+    { timestamps: true }
+);
+
+groupSchema.index({ members: 1 });
+/*
+ * ID Assignment:
+ * New groups get the next value of the 'groups' sequence.
+ */
+groupSchema.pre('validate', async function () {
+    if (this.isNew && this.id == null) {
+        this.id = await Counter.next('groups');
+    }
+});
+/*
+ * Data Sanitization (JSON):
+ * Remove internal database fields for cleaner API responses.
+ */
+groupSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Group', groupSchema);
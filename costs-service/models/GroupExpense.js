@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Counter = require('costmanager-shared/models/Counter')(mongoose);
+const money = require('../money');
+/*
+ * GroupExpense Model
+ * One shared expense paid by a group member and split between members.
+ * Each member's share is also stored as a regular Cost (linked through
+ * 'groupExpenseId'), so personal reports and totals show only the share.
+ */
+const groupExpenseSchema = new mongoose.Schema(
+    {
+        id: {
+            type: Number,
+            unique: true
+        },
+        groupId: { type: Number, required: true },
+        /*
+         * Payer & Amount:
+         * 'paidBy' paid the full 'sum' in 'currency'.
+         */
+        paidBy: { type: Number, required: true },
+        sum: { type: mongoose.Schema.Types.Decimal128, required: true },
+        currency: { type: String, uppercase: true },
+        category: { type: String, required: true },
+        description: { type: String, required: true },
+        createdAt: { type: Date, default: Date.now },
+        /*
+         * Split:
+         * How the sum was divided ('equal', 'percentage' or 'exact') and the
+         * resulting amount owed by every participant (in 'currency').
+         */
+        splitType: {
+            type: String,
+            enum: ['equal', 'percentage', 'exact'],
+            required: true
+        },
+        shares: [{
+            _id: false,
+            userid: { type: Number, required: true },
+            amount: { type: mongoose.Schema.Types.Decimal128, required: true }
+        }]
+    }
+);
+
+groupExpenseSchema.index({ groupId: 1, createdAt: -1 });
+/*
+ * ID Assignment:
+ * New expenses get the next value of the 'group-expenses' sequence.
+ */
+groupExpenseSchema.pre('validate', async function () {
+    if (this.isNew && this.id == null) {
+        this.id = await Counter.next('group-expenses');
+    }
+});
+/*
+ * Data Sanitization (JSON):
+ * Remove internal fields and expose amounts as plain numbers.
+ */
+groupExpenseSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        ret.sum = money.toNumber(ret.sum);
+        ret.shares = (ret.shares || []).map(s => ({ userid: s.userid, amount: money.toNumber(s.amount) }));
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('GroupExpense', groupExpenseSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const Counter = require('costmanager-shared/models/Counter')(mongoose);
+const money = require('../money');
+/*
+ * Income Model
+ * Represents money a user received (salary, refunds, gifts...).
+ * Stored apart from costs so every existing cost query stays outflow-only.
+ */
+const incomeSchema = new mongoose.Schema({
+    /*
+     * Public ID:
+     * Numerical identifier drawn from the 'incomes' sequence.
+     */
+    id: {
+        type: Number,
+        unique: true
+    },
+    /*
+     * String Fields:
+     * 'description' explains what the income was for.
+     * 'source' groups incomes the way 'category' groups costs
+     * (e.g., salary, refund), stored lower-case.
+     */
+    description: {
+        type: String,
+        required: true
+    },
+    source: {
+        type: String,
+        required: true
+    },
+    userid: {
+        type: Number,
+        required: true
+    },
+    /*
+     * Sum & Currency:
+     * Same representation as a cost: an exact Decimal128 amount and an
+     * optional currency code (the base currency when absent).
+     */
+    sum: {
+        type: mongoose.Schema.Types.Decimal128,
+        required: true
+    },
+    currency: {
+        type: String,
+        uppercase: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+/*
+ * Listing Index:
+ * Supports per-user queries by date (listing, monthly balance).
+ */
+incomeSchema.index({ userid: 1, createdAt: -1 });
+/*
+ * ID Assignment:
+ * New incomes get the next value of the 'incomes' sequence.
+ */
+incomeSchema.pre('validate', async function () {
+    if (this.isNew && this.id == null) {
+        this.id = await Counter.next('incomes');
+    }
+});
+/*
+ * Data Sanitization (JSON):
+ * Remove internal fields and expose the Decimal128 sum as a plain number.
+ */
+incomeSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        ret.sum = money.toNumber(ret.sum);
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Income', incomeSchema);
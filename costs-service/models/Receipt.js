@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Counter = require('costmanager-shared/models/Counter')(mongoose);
+/*
+ * Receipt Model
+ * A file (image or PDF) attached to a cost item. The bytes are kept by a
+ * storage backend (see storage.js); this document holds what is needed to
+ * find and serve them.
+ */
+const receiptSchema = new mongoose.Schema(
+    {
+        /*
+         * Public ID:
+         * Numerical identifier drawn from the 'receipts' sequence.
+         */
+        id: {
+            type: Number,
+            unique: true
+        },
+        /*
+         * Owner:
+         * The public id of the cost the receipt belongs to, and its user.
+         */
+        costId: { type: Number, required: true },
+        userid: { type: Number, required: true },
+        /*
+         * File:
+         * 'contentType' is the type detected from the file's content.
+         * 'storage' names the backend and 'key' the file within it.
+         */
+        filename: { type: String, required: true },
+        contentType: { type: String, required: true },
+        size: { type: Number, required: true },
+        storage: { type: String, required: true },
+        key: { type: String, required: true }
+    },
+    { timestamps: true }
+);
+
+receiptSchema.index({ costId: 1 });
+/*
+ * ID Assignment:
+ * New receipts get the next value of the 'receipts' sequence.
+ */
+receiptSchema.pre('validate', async function () {
+    if (this.isNew && this.id == null) {
+        this.id = await Counter.next('receipts');
+    }
+});
+/*
+ * Data Sanitization (JSON):
+ * Remove internal fields; where the file is stored is not part of the API.
+ */
+receiptSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        delete ret.storage;
+        delete ret.key;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Receipt', receiptSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Counter = require('costmanager-shared/models/Counter')(mongoose);
+const money = require('../money');
+/*
+ * RecurringCost Model
+ * A template for an expense that repeats (rent, subscriptions, ...).
+ * The scheduler turns every due occurrence into a real Cost document.
+ */
+const recurringCostSchema = new mongoose.Schema(
+    {
+        /*
+         * Public ID:
+         * Numerical identifier drawn from the 'recurring' sequence.
+         */
+        id: {
+            type: Number,
+            unique: true
+        },
+        /*
+         * Cost Fields:
+         * Copied onto every generated Cost document.
+         */
+        userid: { type: Number, required: true },
+        sum: { type: mongoose.Schema.Types.Decimal128, required: true },
+        currency: { type: String, uppercase: true },
+        category: { type: String, required: true },
+        description: { type: String, required: true },
+        /*
+         * Schedule:
+         * 'frequency' is the repeat unit; occurrences fall on startDate plus
+         * a whole number of units (month ends are clamped, e.g. Jan 31 -> Feb 28).
+         * 'endDate' is optional and inclusive.
+         */
+        frequency: {
+            type: String,
+            enum: ['daily', 'weekly', 'monthly', 'yearly'],
+            required: true
+        },
+        startDate: { type: Date, required: true },
+        endDate: { type: Date },
+        /*
+         * Time Zone:
+         * The user's zone when the template was created; occurrences fall
+         * on local midnight there.
+         */
+        timezone: { type: String },
+        /*
+         * Progress:
+         * 'occurrences' counts generated items and 'nextRun' is the date of
+         * the next one. Both only move forward, which keeps the scheduler
+         * idempotent across restarts.
+         */
+        occurrences: { type: Number, default: 0 },
+        nextRun: { type: Date },
+        active: { type: Boolean, default: true }
+    },
+    { timestamps: true }
+);
+/*
+ * Scheduler Index:
+ * Supports the periodic lookup of active templates that are due.
+ */
+recurringCostSchema.index({ active: 1, nextRun: 1 });
+/*
+ * ID Assignment:
+ * New templates get the next value of the 'recurring' sequence.
+ */
+recurringCostSchema.pre('validate', async function () {
+    if (this.isNew && this.id == null) {
+        this.id = await Counter.next('recurring');
+    }
+});
+/*
+ * Data Sanitization (JSON):
+ * Remove internal fields and expose the sum as a plain number.
+ */
+recurringCostSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        ret.sum = money.toNumber(ret.sum);
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('RecurringCost', recurringCostSchema);
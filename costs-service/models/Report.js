@@ -9,15 +9,26 @@ const reportSchema = new mongoose.Schema(
         userid: { type: Number, required: true },
         year: { type: Number, required: true },
         month: { type: Number, required: true },
+        /*
+         * Time Zone:
+         * The zone the month boundaries were computed in.
+         */
+        timezone: { type: String },
+        /*
+         * Budgeting Month:
+         * The day the month started on (see timezone.monthWindow).
+         */
+        monthStartDay: { type: Number, default: 1 },
         costs: { type: Array, required: true }
     },
     { timestamps: true }
 );
 /*
  * Unique index:
- * Ensures a single report per (userid, year, month).
+ * Ensures a single report per (userid, year, month) for each time zone and
+ * month start day it was computed with.
  * This supports caching of computed monthly reports.
  */
-reportSchema.index({ userid: 1, year: 1, month: 1 }, { unique: true });
+reportSchema.index({ userid: 1, year: 1, month: 1, timezone: 1, monthStartDay: 1 }, { unique: true });
 
 module.exports = mongoose.model('Report', reportSchema);
\ No newline at end of file
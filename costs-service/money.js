@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+/*
+ * Money Helpers:
+ * Sums are stored as Decimal128 so the database keeps the exact decimal
+ * value that was entered. In JavaScript, arithmetic is done in integer
+ * minor units (e.g. cents) and only turned back into a decimal number
+ * for the JSON output, so values like 0.1 + 0.2 do not drift.
+ */
+const { Decimal128 } = mongoose.Types;
+/*
+ * Minor Unit Digits:
+ * Number of decimal places allowed per currency (ISO 4217).
+ * Currencies not listed here use 2.
+ */
+const MINOR_DIGITS = {
+    JPY: 0, KRW: 0, VND: 0, CLP: 0, ISK: 0,
+    BHD: 3, JOD: 3, KWD: 3, OMR: 3, TND: 3
+};
+
+function decimalsFor(currency) {
+    const digits = MINOR_DIGITS[String(currency || '').toUpperCase()];
+    return digits == null ? 2 : digits;
+}
+/*
+ * Amount Parsing:
+ * Accepts a number or a plain decimal string ("12", "12.5").
+ * Rejects exponent notation and more decimal places than the currency allows.
+ * Returns { ok: true, value } with a normalized decimal string, or { ok: false, reason }.
+ */
+function parseAmount(input, currency) {
+    if (input == null || input === '') return { ok: false, reason: 'empty' };
+    if (typeof input !== 'number' && typeof input !== 'string') return { ok: false, reason: 'not_number' };
+
+    const text = String(input).trim();
+    const m = text.match(/^(-?)(\d+)(?:\.(\d+))?$/);
+    if (!m) return { ok: false, reason: 'not_number' };
+
+    const fraction = (m[3] || '').replace(/0+$/, '');
+    if (fraction.length > decimalsFor(currency)) return { ok: false, reason: 'too_many_decimals' };
+
+    const whole = m[2].replace(/^0+(?=\d)/, '');
+    return { ok: true, value: m[1] + whole + (fraction ? '.' + fraction : '') };
+}
+/*
+ * Conversions:
+ * toDecimal128 - decimal string or number into the stored Decimal128.
+ * toNumber     - stored value (Decimal128, legacy double or null) into a JS number.
+ */
+function toDecimal128(value) {
+    return Decimal128.fromString(String(value));
+}
+
+function toNumber(value) {
+    if (value == null) return 0;
+    if (value instanceof Decimal128) return Number(value.toString());
+    return Number(value);
+}
+/*
+ * Minor Units:
+ * toMinor rounds a decimal amount to the currency's minor unit (half away from zero);
+ * fromMinor turns the integer back into a decimal number.
+ */
+function toMinor(amount, currency) {
+    const factor = 10 ** decimalsFor(currency);
+    const scaled = Number((toNumber(amount) * factor).toPrecision(15));
+    return Math.sign(scaled) * Math.round(Math.abs(scaled));
+}
+
+function fromMinor(minor, currency) {
+    return minor / (10 ** decimalsFor(currency));
+}
+/*
+ * Exact Rounding & Addition:
+ * round  - rounds one amount to the currency's decimal places.
+ * addAll - adds a list of amounts in minor units and returns the exact total.
+ */
+function round(amount, currency) {
+    return fromMinor(toMinor(amount, currency), currency);
+}
+
+function addAll(amounts, currency) {
+    return fromMinor(amounts.reduce((acc, a) => acc + toMinor(a, currency), 0), currency);
+}
+
+module.exports = {
+    decimalsFor,
+    parseAmount,
+    toDecimal128,
+    toNumber,
+    toMinor,
+    fromMinor,
+    round,
+    addAll
+};
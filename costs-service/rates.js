@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const ExchangeRate = require('./models/ExchangeRate');
+const money = require('./money');
+/*
+ * Base Currency:
+ * The currency every stored rate is expressed in.
+ * Costs without a currency (created before currencies existed) are in this currency.
+ */
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'ILS').toUpperCase();
+/*
+ * Currency Code Check:
+ * Accepts ISO 4217 style three-letter codes (case-insensitive).
+ */
+function isCurrencyCode(code) {
+    return typeof code === 'string' && /^[A-Za-z]{3}$/.test(code);
+}
+/*
+ * Rates Parser:
+ * Turns the content of a rates file into [{ currency, rate }].
+ * JSON may be an array of { currency, rate } or an object { USD: 3.7 },
+ * given as text or already parsed; CSV must have a 'currency,rate' header line.
+ * Throws an Error describing the first invalid entry.
+ */
+function parseRates(content, format) {
+    let entries;
+
+    if (format === 'json') {
+        const data = typeof content === 'string' ? JSON.parse(content) : content;
+        if (data == null || typeof data !== 'object') throw new Error('Rates must be an array or object');
+        entries = Array.isArray(data)
+            ? data.map(r => [r && r.currency, r && r.rate])
+            : Object.entries(data);
+    } else if (format === 'csv') {
+        const lines = content.split(/\r?\n/).map(l => l.trim()).filter(l => l !== '');
+        const header = (lines.shift() || '').toLowerCase().split(',').map(h => h.trim());
+        const ci = header.indexOf('currency');
+        const ri = header.indexOf('rate');
+        if (ci === -1 || ri === -1) throw new Error('CSV header must contain currency and rate');
+        entries = lines.map(line => {
+            const cells = line.split(',').map(c => c.trim());
+            return [cells[ci], cells[ri]];
+        });
+    } else {
+        throw new Error('Unsupported rates format: ' + format);
+    }
+    /*
+     * Entry Validation:
+     * Every entry needs a currency code and a positive numeric rate.
+     */
+    return entries.map(([currency, rawRate], index) => {
+        const rate = Number(rawRate);
+        if (!isCurrencyCode(currency) || !(rate > 0)) {
+            throw new Error(`Invalid rate entry #${index + 1}`);
+        }
+        return { currency: currency.toUpperCase(), rate };
+    });
+}
+/*
+ * Rates Storage:
+ * Upserts the given rates into the ExchangeRate collection.
+ * Returns the number of stored entries.
+ */
+async function saveRates(rates) {
+    if (rates.length === 0) return 0;
+    await ExchangeRate.bulkWrite(rates.map(r => ({
+        updateOne: {
+            filter: { currency: r.currency },
+            update: { $set: { rate: r.rate } },
+            upsert: true
+        }
+    })));
+    return rates.length;
+}
+/*
+ * File Loader:
+ * Reads a .json or .csv rates file and stores its rates.
+ * Used at startup when RATES_FILE is configured.
+ */
+async function loadRatesFile(filePath) {
+    const format = path.extname(filePath).slice(1).toLowerCase();
+    const content = fs.readFileSync(filePath, 'utf8');
+    return saveRates(parseRates(content, format));
+}
+/*
+ * Rate Table:
+ * Returns a { CODE: rate } map of all known currencies,
+ * always including the base currency with rate 1.
+ */
+async function getRateTable() {
+    const docs = await ExchangeRate.find().lean();
+    const table = {};
+    docs.forEach(d => {
+        table[d.currency] = d.rate;
+    });
+    table[BASE_CURRENCY] = 1;
+    return table;
+}
+/*
+ * Amount Conversion:
+ * Converts an amount between two currencies of the rate table,
+ * going through the base currency. Rounded to the target currency's decimal places.
+ * A missing source currency means the base currency.
+ */
+function convertAmount(amount, from, to, table) {
+    const source = from || BASE_CURRENCY;
+    if (source === to) return amount;
+    if (table[source] == null || table[to] == null) {
+        throw new Error(`No exchange rate for ${table[source] == null ? source : to}`);
+    }
+    return money.round(amount * table[source] / table[to], to);
+}
+
+module.exports = {
+    BASE_CURRENCY,
+    isCurrencyCode,
+    parseRates,
+    saveRates,
+    loadRatesFile,
+    getRateTable,
+    convertAmount
+};
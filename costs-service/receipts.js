@@ -0,0 +1,90 @@
+const Receipt = require('./models/Receipt');
+const storage = require('./storage');
+/*
+ * Receipt Rules:
+ * Size limit (RECEIPT_MAX_BYTES, 5 MB by default) and the accepted file
+ * types. The type is detected from the file's first bytes rather than
+ * trusted from the upload, so a renamed file cannot pass as an image.
+ */
+const MAX_BYTES = Number(process.env.RECEIPT_MAX_BYTES) || 5 * 1024 * 1024;
+const MAX_PER_COST = 10;
+
+const SIGNATURES = [
+    { type: 'image/jpeg', test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { type: 'image/png', test: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { type: 'image/gif', test: b => /^GIF8[79]a$/.test(b.subarray(0, 6).toString('latin1')) },
+    { type: 'image/webp', test: b => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+    { type: 'application/pdf', test: b => b.subarray(0, 5).toString('latin1') === '%PDF-' }
+];
+const ALLOWED_TYPES = SIGNATURES.map(s => s.type);
+/*
+ * Type Detection:
+ * Returns the MIME type of a supported file, or null.
+ */
+function detectType(buffer) {
+    const match = SIGNATURES.find(s => buffer.length >= 12 && s.test(buffer));
+    return match ? match.type : null;
+}
+/*
+ * File Name:
+ * Keeps only the base name and safe characters, for Content-Disposition.
+ */
+function cleanFilename(name) {
+    const base = String(name || '').split(/[\\/]/).pop();
+    const cleaned = base.replace(/[^\w.\- ]/g, '_').trim().slice(0, 100);
+    return cleaned || 'receipt';
+}
+/*
+ * Receipt Storage:
+ * Saves the bytes with the current backend and records the receipt.
+ * The stored file is removed again if the record cannot be saved.
+ */
+async function storeReceipt(cost, file, contentType) {
+    const backendName = storage.defaultBackendName();
+    const backend = storage.getBackend(backendName);
+    const filename = cleanFilename(file.originalname);
+    const key = await backend.save(file.buffer, { filename, contentType });
+
+    try {
+        return await Receipt.create({
+            costId: cost.id,
+            userid: cost.userid,
+            filename,
+            contentType,
+            size: file.size,
+            storage: backendName,
+            key
+        });
+    } catch (err) {
+        await backend.remove(key);
+        throw err;
+    }
+}
+/*
+ * Receipt Removal:
+ * Deletes one receipt's file and record.
+ */
+async function removeReceipt(receipt) {
+    await storage.getBackend(receipt.storage).remove(receipt.key);
+    await Receipt.deleteOne({ _id: receipt._id });
+}
+/*
+ * Cost Cleanup:
+ * Deletes every receipt of the given cost ids (used when costs are deleted).
+ */
+async function removeForCosts(costIds) {
+    const list = await Receipt.find({ costId: { $in: costIds } });
+    for (const receipt of list) {
+        await removeReceipt(receipt);
+    }
+}
+
+module.exports = {
+    MAX_BYTES,
+    MAX_PER_COST,
+    ALLOWED_TYPES,
+    detectType,
+    storeReceipt,
+    removeReceipt,
+    removeForCosts
+};
@@ -0,0 +1,114 @@
+const money = require('./money');
+/*
+ * Reimbursement Workflow:
+ * A cost that should be paid back (a work expense) moves through
+ *   draft -> submitted -> approved | rejected, approved -> paid
+ * A rejected cost can be corrected and go back to draft or be submitted
+ * again. Costs that never entered the workflow are personal.
+ */
+const STATUSES = ['draft', 'submitted', 'approved', 'rejected', 'paid'];
+/*
+ * Allowed Transitions:
+ * Keyed by the current status ('none' for a cost outside the workflow).
+ */
+const TRANSITIONS = {
+    none: ['draft', 'submitted'],
+    draft: ['submitted'],
+    submitted: ['approved', 'rejected'],
+    approved: ['paid'],
+    rejected: ['draft', 'submitted'],
+    paid: []
+};
+/*
+ * Approver Decisions:
+ * These steps are taken by someone other than the cost's owner, who must
+ * hold the admin role (checked by the route).
+ */
+const APPROVER_STATUSES = ['approved', 'rejected', 'paid'];
+/*
+ * Locked States:
+ * While a claim is under review or settled, the cost itself must not change.
+ */
+const LOCKED_STATUSES = ['submitted', 'approved', 'paid'];
+
+const MAX_COMMENT = 500;
+
+function currentStatus(cost) {
+    return (cost.reimbursement && cost.reimbursement.status) || 'none';
+}
+
+function isLocked(cost) {
+    return LOCKED_STATUSES.includes(currentStatus(cost));
+}
+/*
+ * Transition Check:
+ * Validates a requested step { status, by, comment } for a cost.
+ * Returns { ok: true, entry } with the history entry to record, or
+ * { ok: false, status, message } (400 for bad input, 409 for a step the
+ * current status does not allow, 403 for an owner deciding their own claim).
+ */
+function planTransition(cost, body) {
+    const { status, comment } = body || {};
+    const by = Number(body && body.by);
+
+    if (!STATUSES.includes(status)) {
+        return { ok: false, status: 400, message: `status must be one of: ${STATUSES.join(', ')}` };
+    }
+    if (!Number.isInteger(by)) {
+        return { ok: false, status: 400, message: 'by (the acting user id) is required and must be a number' };
+    }
+    if (comment != null && (typeof comment !== 'string' || comment.length > MAX_COMMENT)) {
+        return { ok: false, status: 400, message: `comment must be a string up to ${MAX_COMMENT} characters` };
+    }
+    const from = currentStatus(cost);
+    if (!TRANSITIONS[from].includes(status)) {
+        return { ok: false, status: 409, message: `Cannot move a reimbursement from ${from} to ${status}` };
+    }
+    const isApproverStep = APPROVER_STATUSES.includes(status);
+    if (isApproverStep && by === cost.userid) {
+        return { ok: false, status: 403, message: 'The owner of a cost cannot approve, reject or pay it' };
+    }
+    if (!isApproverStep && by !== cost.userid) {
+        return { ok: false, status: 403, message: 'Only the owner of a cost can draft or submit it' };
+    }
+    const entry = { from, to: status, by, at: new Date() };
+    if (comment != null && comment.trim() !== '') entry.comment = comment.trim();
+    return { ok: true, entry };
+}
+/*
+ * Report Bucket:
+ * 'pending' covers submitted and approved claims (money still expected back),
+ * 'reimbursed' paid ones; everything else (no claim, draft, rejected) is
+ * 'personal'.
+ */
+function bucketOf(status) {
+    if (status === 'paid') return 'reimbursed';
+    if (status === 'submitted' || status === 'approved') return 'pending';
+    return 'personal';
+}
+/*
+ * Report Totals:
+ * Splits a monthly costs array ([{ category: [items] }]), already converted
+ * into 'currency', into personal, pending and reimbursed totals.
+ */
+function splitTotals(costsArr, currency) {
+    const buckets = { personal: [], pending: [], reimbursed: [] };
+    costsArr.forEach(entry => {
+        const items = Object.values(entry)[0];
+        items.forEach(item => buckets[bucketOf(item.reimbursement)].push(item.sum));
+    });
+    return {
+        personal: money.addAll(buckets.personal, currency),
+        pending: money.addAll(buckets.pending, currency),
+        reimbursed: money.addAll(buckets.reimbursed, currency)
+    };
+}
+
+module.exports = {
+    STATUSES,
+    APPROVER_STATUSES,
+    currentStatus,
+    isLocked,
+    planTransition,
+    splitTotals
+};
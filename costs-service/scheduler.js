@@ -0,0 +1,141 @@
+const Cost = require('./models/Cost');
+const RecurringCost = require('./models/RecurringCost');
+const timezone = require('./timezone');
+/*
+ * Run Limit:
+ * Maximum occurrences generated for one template in a single run,
+ * so a start date far in the past is back-filled over several runs
+ * instead of blocking the scheduler.
+ */
+const MAX_PER_RUN = 500;
+/*
+ * Occurrence Date:
+ * Returns the n-th occurrence (0 = the start date) of a schedule, at
+ * midnight in 'timeZone' like dates parsed by the API. Monthly and yearly
+ * schedules keep the start day and clamp it to the month's last day when
+ * it does not exist.
+ */
+function occurrenceDate(startDate, frequency, n, timeZone = timezone.DEFAULT_TIMEZONE) {
+    const start = timezone.zonedParts(startDate, timeZone);
+    const y = start.year;
+    const m = start.month;
+    const d = start.day;
+    const lastDay = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+    switch (frequency) {
+        case 'daily':
+            return timezone.zonedMidnight(y, m, d + n, timeZone);
+        case 'weekly':
+            return timezone.zonedMidnight(y, m, d + 7 * n, timeZone);
+        case 'monthly': {
+            const first = new Date(Date.UTC(y, m - 1 + n, 1));
+            const year = first.getUTCFullYear();
+            const month = first.getUTCMonth() + 1;
+            return timezone.zonedMidnight(year, month, Math.min(d, lastDay(year, month)), timeZone);
+        }
+        case 'yearly':
+            return timezone.zonedMidnight(y + n, m, Math.min(d, lastDay(y + n, m)), timeZone);
+        default:
+            throw new Error('Unknown frequency: ' + frequency);
+    }
+}
+/*
+ * Template Materialization:
+ * Creates a Cost for every occurrence of the template that is due by 'now'.
+ * Idempotency: generated costs carry the template id and a unique index on
+ * (recurringId, createdAt) rejects an occurrence that already exists, e.g.
+ * when the service restarted before saving its progress.
+ * 'onCreated' is awaited for every new cost (used for report invalidation).
+ * Returns the number of costs created.
+ */
+async function materializeTemplate(template, now, onCreated) {
+    const zone = timezone.resolve(template.timezone);
+    let count = template.occurrences;
+    let created = 0;
+
+    for (let step = 0; step < MAX_PER_RUN; step++) {
+        const date = occurrenceDate(template.startDate, template.frequency, count, zone);
+        if (date > now || (template.endDate && date > template.endDate)) break;
+
+        try {
+            const cost = await Cost.create({
+                userid: template.userid,
+                sum: template.sum,
+                currency: template.currency,
+                category: template.category,
+                description: template.description,
+                createdAt: date,
+                recurringId: template.id
+            });
+            created += 1;
+            if (onCreated) await onCreated(cost);
+        } catch (err) {
+            // Duplicate key: this occurrence was generated by an earlier run.
+            if (!err || err.code !== 11000) throw err;
+        }
+        count += 1;
+    }
+    /*
+     * Progress Update:
+     * Only ever moves forward, and never touches 'active' except to finish
+     * the schedule, so a template stopped meanwhile stays stopped.
+     */
+    const nextRun = occurrenceDate(template.startDate, template.frequency, count, zone);
+    const finished = Boolean(template.endDate && nextRun > template.endDate);
+    const update = { occurrences: count, nextRun };
+    if (finished) update.active = false;
+
+    await RecurringCost.updateOne(
+        { _id: template._id, occurrences: { $lte: count } },
+        { $set: update }
+    );
+    return created;
+}
+/*
+ * Due Run:
+ * Materializes every active template whose next occurrence is due.
+ * A failing template is reported and does not stop the others.
+ */
+async function runDue(now, onCreated) {
+    const templates = await RecurringCost.find({ active: true, nextRun: { $lte: now } });
+    let created = 0;
+
+    for (const template of templates) {
+        try {
+            created += await materializeTemplate(template, now, onCreated);
+        } catch (err) {
+            console.error(`Recurring cost ${template.id} failed:`, err.message);
+        }
+    }
+    return created;
+}
+/*
+ * Scheduler Startup:
+ * Runs immediately and then every 'intervalMs'. Overlapping runs are skipped.
+ */
+function startScheduler(intervalMs, onCreated) {
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const created = await runDue(new Date(), onCreated);
+            if (created > 0) console.log(`Recurring scheduler created ${created} costs`);
+        } catch (err) {
+            console.error('Recurring scheduler error:', err.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    tick();
+    return setInterval(tick, intervalMs);
+}
+
+module.exports = {
+    occurrenceDate,
+    materializeTemplate,
+    runDue,
+    startScheduler
+};
@@ -0,0 +1,53 @@
+const { escapeHtml } = require('./statement');
+/*
+ * Search Helpers:
+ * Support for GET /api/search. MongoDB ranks the matches with its text
+ * index; these helpers find the matched words again so they can be
+ * highlighted in the response.
+ */
+/*
+ * Query Terms:
+ * Words of a $text query in lower case. Negated words ("-bill") do not
+ * match anything and are dropped; quoted phrases count word by word.
+ */
+function queryTerms(query) {
+    return String(query || '')
+        .toLowerCase()
+        .split(/\s+/)
+        .filter(word => word && !word.startsWith('-'))
+        .map(word => word.replace(/["'.,;:!?()]/g, ''))
+        .filter(Boolean);
+}
+/*
+ * Light Stemming:
+ * Strips common English endings, so "dentists" and "dentist" compare equal.
+ * Rougher than MongoDB's stemmer, which only matters for the highlighting.
+ */
+function stem(word) {
+    return word.toLowerCase().replace(/(ing|ed|es|s)$/, '');
+}
+/*
+ * Highlighting:
+ * Returns the text HTML-escaped with every word that matches a query term
+ * wrapped in <mark>, or null when no word matches (e.g. only the category did).
+ */
+function highlight(text, terms) {
+    const stems = new Set(terms.map(stem));
+    let found = false;
+
+    const out = String(text == null ? '' : text).split(/([\p{L}\p{N}]+)/u).map((part, i) => {
+        // Odd indexes are the words captured by the split.
+        if (i % 2 === 1 && stems.has(stem(part))) {
+            found = true;
+            return `<mark>${escapeHtml(part)}</mark>`;
+        }
+        return escapeHtml(part);
+    }).join('');
+
+    return found ? out : null;
+}
+
+module.exports = {
+    queryTerms,
+    highlight
+};
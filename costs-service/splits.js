@@ -0,0 +1,119 @@
+const money = require('./money');
+/*
+ * Split Helpers:
+ * Divide a shared expense between group members and work out who owes
+ * whom. All arithmetic is done in integer minor units of the expense
+ * currency, so the shares always add up to the exact sum.
+ */
+/*
+ * Remainder Distribution:
+ * Turns exact (fractional) minor-unit shares into integers that add up to
+ * 'totalMinor': everyone gets the floor, and the leftover units go to the
+ * largest fractional parts (ties keep the participants' order).
+ */
+function distribute(totalMinor, exactShares) {
+    const floors = exactShares.map(x => Math.floor(x));
+    let left = totalMinor - floors.reduce((a, b) => a + b, 0);
+
+    const order = exactShares
+        .map((x, i) => ({ i, frac: x - Math.floor(x) }))
+        .sort((a, b) => b.frac - a.frac || a.i - b.i);
+
+    for (let k = 0; left > 0; k = (k + 1) % order.length, left--) {
+        floors[order[k].i] += 1;
+    }
+    return floors;
+}
+/*
+ * Share Calculation:
+ * type 'equal'      - 'participants' split evenly.
+ * type 'percentage' - 'shares' maps userid -> percent, adding up to 100.
+ * type 'exact'      - 'shares' maps userid -> amount, adding up to the sum.
+ * 'participants' must be an array and every participant must be in 'members'.
+ * Returns { ok: true, shares: [{ userid, amount }] } or { ok: false, message }.
+ */
+function computeShares(sum, currency, type, members, participants, shares) {
+    const totalMinor = money.toMinor(sum, currency);
+    let userids;
+
+    if (type === 'equal') {
+        if (participants != null && !Array.isArray(participants)) {
+            return { ok: false, message: 'participants must be an array of group members' };
+        }
+        userids = (participants == null ? members : participants).map(Number);
+    } else if (type === 'percentage' || type === 'exact') {
+        if (shares == null || typeof shares !== 'object' || Array.isArray(shares)) {
+            return { ok: false, message: 'shares must map userid to a value' };
+        }
+        userids = Object.keys(shares).map(Number);
+    } else {
+        return { ok: false, message: 'split must be equal, percentage or exact' };
+    }
+    if (!Array.isArray(userids) || userids.length === 0) {
+        return { ok: false, message: 'At least one participant is required' };
+    }
+    if (new Set(userids).size !== userids.length || userids.some(u => !members.includes(u))) {
+        return { ok: false, message: 'Participants must be distinct group members' };
+    }
+
+    let minors;
+    if (type === 'equal') {
+        minors = distribute(totalMinor, userids.map(() => totalMinor / userids.length));
+    } else if (type === 'percentage') {
+        const percents = userids.map(u => Number(shares[u]));
+        const total = percents.reduce((a, b) => a + b, 0);
+        if (percents.some(p => !(p >= 0)) || Math.abs(total - 100) > 1e-9) {
+            return { ok: false, message: 'Percentages must be non-negative and add up to 100' };
+        }
+        minors = distribute(totalMinor, percents.map(p => totalMinor * p / 100));
+    } else {
+        const parsed = userids.map(u => money.parseAmount(shares[u], currency));
+        if (parsed.some(p => !p.ok || Number(p.value) < 0)) {
+            return { ok: false, message: 'Exact shares must be non-negative amounts' };
+        }
+        minors = parsed.map(p => money.toMinor(p.value, currency));
+        if (minors.reduce((a, b) => a + b, 0) !== totalMinor) {
+            return { ok: false, message: 'Exact shares must add up to the sum' };
+        }
+    }
+    return {
+        ok: true,
+        shares: userids.map((userid, i) => ({ userid, amount: money.fromMinor(minors[i], currency) }))
+    };
+}
+/*
+ * Settle-Up Plan:
+ * Given net balances in minor units ({ userid -> paid - owed }), repeatedly
+ * lets the biggest debtor pay the biggest creditor. Every transfer settles
+ * at least one member, so there are at most (members - 1) transfers.
+ * Returns [{ from, to, minor }].
+ */
+function settleUp(netMinor) {
+    const creditors = [];
+    const debtors = [];
+    Object.entries(netMinor).forEach(([userid, net]) => {
+        if (net > 0) creditors.push({ userid: Number(userid), left: net });
+        if (net < 0) debtors.push({ userid: Number(userid), left: -net });
+    });
+
+    const transfers = [];
+    while (creditors.length && debtors.length) {
+        creditors.sort((a, b) => b.left - a.left);
+        debtors.sort((a, b) => b.left - a.left);
+        const c = creditors[0];
+        const d = debtors[0];
+        const minor = Math.min(c.left, d.left);
+
+        transfers.push({ from: d.userid, to: c.userid, minor });
+        c.left -= minor;
+        d.left -= minor;
+        if (c.left === 0) creditors.shift();
+        if (d.left === 0) debtors.shift();
+    }
+    return transfers;
+}
+
+module.exports = {
+    computeShares,
+    settleUp
+};
@@ -0,0 +1,144 @@
+const money = require('./money');
+const timezone = require('./timezone');
+/*
+ * Statement Renderer:
+ * Builds printable, self-contained HTML statements from report JSON.
+ * Only inline CSS is used so the page prints (or saves as PDF) as is.
+ */
+/*
+ * HTML Escaping:
+ * Every user supplied value (descriptions, categories) goes through here.
+ */
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/*
+ * Amount Formatting:
+ * With a locale (the user's preference) digits are grouped the local way,
+ * e.g. 1.234,50 for de-DE; otherwise plain 1234.50.
+ */
+function formatAmount(amount, currency, locale) {
+    const decimals = money.decimalsFor(currency);
+    const text = locale
+        ? amount.toLocaleString(locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals })
+        : amount.toFixed(decimals);
+    return escapeHtml(text + ' ' + currency);
+}
+/*
+ * Page Layout:
+ * Shared document shell with print friendly styles.
+ */
+function page(title, body, lang = 'en') {
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(lang)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: Arial, sans-serif; margin: 2em; color: #222; }
+h1 { font-size: 1.4em; }
+h2 { font-size: 1.1em; margin-top: 1.5em; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 1em; }
+th, td { border-bottom: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+td.num, th.num { text-align: right; }
+tr.subtotal td { font-weight: bold; border-top: 2px solid #222; }
+p.total { font-size: 1.2em; font-weight: bold; }
+@media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+/*
+ * Monthly Statement:
+ * One table per category with its items (day, description, sum) and
+ * a subtotal row, followed by the grand total. Empty categories are skipped.
+ * Items follow the report's period (a budgeting month starts mid-month) and
+ * amounts its locale.
+ */
+function renderMonthlyStatement(report) {
+    const { currency, locale } = report;
+    const startDay = report.monthStartDay || 1;
+    const sections = [];
+    const subtotals = [];
+
+    report.costs.forEach(entry => {
+        const [category, items] = Object.entries(entry)[0];
+        if (items.length === 0) return;
+
+        const subtotal = money.addAll(items.map(i => i.sum), currency);
+        subtotals.push(subtotal);
+
+        const rows = items
+            .slice()
+            .sort((a, b) => timezone.periodDay(a.day, startDay) - timezone.periodDay(b.day, startDay))
+            .map(i => `<tr><td>${escapeHtml(i.day)}</td><td>${escapeHtml(i.description)}</td>` +
+                `<td class="num">${formatAmount(i.sum, currency, locale)}</td></tr>`)
+            .join('\n');
+
+        sections.push(`<h2>${escapeHtml(category)}</h2>
+<table>
+<tr><th>Day</th><th>Description</th><th class="num">Sum</th></tr>
+${rows}
+<tr class="subtotal"><td colspan="2">Subtotal ${escapeHtml(category)}</td><td class="num">${formatAmount(subtotal, currency, locale)}</td></tr>
+</table>`);
+    });
+
+    const month = String(report.month).padStart(2, '0');
+    const title = `Cost statement - user ${report.userid} - ${report.year}-${month}`;
+    const total = money.addAll(subtotals, currency);
+    const period = report.period && startDay > 1
+        ? `<p>Budgeting month ${escapeHtml(report.period.from)} to ${escapeHtml(report.period.to)}</p>\n`
+        : '';
+
+    return page(title, `<h1>${escapeHtml(title)}</h1>
+${period}${sections.length ? sections.join('\n') : '<p>No costs in this month.</p>'}
+<p class="total">Total: ${formatAmount(total, currency, locale)}</p>`, locale || 'en');
+}
+/*
+ * Range Statement:
+ * Category subtotals for the whole range, then the total of every month.
+ */
+function renderRangeStatement(report) {
+    const { currency } = report;
+    const period = report.year != null ? String(report.year) : `${report.from} to ${report.to}`;
+    const title = `Cost statement - user ${report.userid} - ${period}`;
+
+    const categoryRows = Object.entries(report.categories)
+        .filter(([, sum]) => sum !== 0)
+        .map(([category, sum]) => `<tr><td>${escapeHtml(category)}</td><td class="num">${formatAmount(sum, currency)}</td></tr>`)
+        .join('\n');
+
+    const monthRows = report.months
+        .map(m => `<tr><td>${m.year}-${String(m.month).padStart(2, '0')}</td>` +
+            `<td class="num">${formatAmount(m.total, currency)}</td></tr>`)
+        .join('\n');
+
+    return page(title, `<h1>${escapeHtml(title)}</h1>
+<h2>By category</h2>
+<table>
+<tr><th>Category</th><th class="num">Subtotal</th></tr>
+${categoryRows}
+</table>
+<h2>By month</h2>
+<table>
+<tr><th>Month</th><th class="num">Total</th></tr>
+${monthRows}
+</table>
+<p class="total">Total: ${formatAmount(report.total, currency)}</p>`);
+}
+
+module.exports = {
+    escapeHtml,
+    renderMonthlyStatement,
+    renderRangeStatement
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+/*
+ * File Storage Backends:
+ * Where receipt files are kept. Every backend offers the same methods:
+ *   save(buffer, { filename, contentType }) -> key (string)
+ *   open(key)   -> readable stream of the file
+ *   remove(key) -> deletes the file (a missing file is not an error)
+ * RECEIPT_STORAGE selects the backend for new files ('local' by default,
+ * or 'gridfs'); each stored receipt records its backend, so files saved
+ * before a switch stay readable.
+ */
+/*
+ * Local Disk:
+ * Files live in RECEIPTS_DIR (default: uploads/receipts next to this file)
+ * under random names; keys are checked so they cannot leave the directory.
+ */
+function localBackend() {
+    const dir = process.env.RECEIPTS_DIR || path.join(__dirname, 'uploads', 'receipts');
+    const fileOf = key => {
+        if (!/^[0-9a-f-]{36}$/.test(key)) throw new Error('Invalid storage key');
+        return path.join(dir, key);
+    };
+
+    return {
+        async save(buffer) {
+            const key = crypto.randomUUID();
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(fileOf(key), buffer, { flag: 'wx' });
+            return key;
+        },
+        open(key) {
+            return fs.createReadStream(fileOf(key));
+        },
+        async remove(key) {
+            try {
+                await fs.promises.unlink(fileOf(key));
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+        }
+    };
+}
+/*
+ * GridFS:
+ * Files are stored in MongoDB itself (bucket 'receipts'), which suits
+ * deployments without a persistent disk. The key is the GridFS file id.
+ */
+function gridfsBackend() {
+    const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'receipts' });
+
+    return {
+        save(buffer, { filename, contentType }) {
+            return new Promise((resolve, reject) => {
+                const upload = bucket().openUploadStream(filename, { metadata: { contentType } });
+                upload.once('error', reject);
+                upload.once('finish', () => resolve(String(upload.id)));
+                upload.end(buffer);
+            });
+        },
+        open(key) {
+            return bucket().openDownloadStream(new mongoose.Types.ObjectId(key));
+        },
+        async remove(key) {
+            try {
+                await bucket().delete(new mongoose.Types.ObjectId(key));
+            } catch (err) {
+                if (!/File not found/i.test(err.message)) throw err;
+            }
+        }
+    };
+}
+
+const BACKENDS = { local: localBackend, gridfs: gridfsBackend };
+
+function defaultBackendName() {
+    return process.env.RECEIPT_STORAGE || 'local';
+}
+/*
+ * Backend Lookup:
+ * Returns the backend with the given name (default: RECEIPT_STORAGE).
+ * Unknown names throw, so a misconfiguration shows up on the first upload.
+ */
+function getBackend(name = defaultBackendName()) {
+    const factory = BACKENDS[name];
+    if (!factory) throw new Error(`Unknown receipt storage: ${name}`);
+    return factory();
+}
+
+module.exports = {
+    defaultBackendName,
+    getBackend
+};
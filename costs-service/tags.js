@@ -0,0 +1,107 @@
+/*
+ * Tags & Metadata:
+ * Tags label costs across categories ("vacation-2026", "reimbursable");
+ * metadata is a small map of free-form string values. Both are optional.
+ */
+const MAX_TAGS = 20;
+const MAX_METADATA_KEYS = 20;
+const MAX_METADATA_VALUE = 200;
+/*
+ * Tag Rule:
+ * Lower-case letters, digits, '.', '_' and '-', starting with a letter
+ * or digit, up to 40 characters. Input is trimmed and lower-cased first.
+ */
+const TAG_PATTERN = /^[\p{Ll}\p{Lo}0-9][\p{Ll}\p{Lo}0-9._-]{0,39}$/u;
+/*
+ * Metadata Key Rule:
+ * Letters, digits, '_' and '-' (no '.' or '$', which MongoDB reserves).
+ */
+const KEY_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+function normalizeTag(tag) {
+    return String(tag).trim().toLowerCase();
+}
+/*
+ * Tag Parsing:
+ * Accepts an array or a comma/semicolon separated string (as in CSV).
+ * Duplicates are dropped. Returns { ok: true, tags } or { ok: false, message }.
+ */
+function parseTags(input) {
+    let list;
+    if (Array.isArray(input)) list = input;
+    else if (typeof input === 'string') list = input.split(/[,;]/).filter(t => t.trim() !== '');
+    else return { ok: false, message: 'tags must be an array of strings' };
+
+    if (list.some(t => typeof t !== 'string')) {
+        return { ok: false, message: 'tags must be an array of strings' };
+    }
+    const tags = [...new Set(list.map(normalizeTag))];
+    if (tags.length > MAX_TAGS) return { ok: false, message: `At most ${MAX_TAGS} tags are allowed` };
+
+    const bad = tags.find(t => !TAG_PATTERN.test(t));
+    if (bad !== undefined) {
+        return { ok: false, message: `Invalid tag: "${bad}" (letters, digits, . _ -, up to 40 characters)` };
+    }
+    return { ok: true, tags };
+}
+/*
+ * Metadata Parsing:
+ * Accepts a flat object; numbers and booleans are stored as strings.
+ * Returns { ok: true, metadata } or { ok: false, message }.
+ */
+function parseMetadata(input) {
+    if (input == null || typeof input !== 'object' || Array.isArray(input)) {
+        return { ok: false, message: 'metadata must be an object of key/value pairs' };
+    }
+    const entries = Object.entries(input);
+    if (entries.length > MAX_METADATA_KEYS) {
+        return { ok: false, message: `metadata allows at most ${MAX_METADATA_KEYS} keys` };
+    }
+    const metadata = {};
+    for (const [key, value] of entries) {
+        if (!KEY_PATTERN.test(key)) {
+            return { ok: false, message: `Invalid metadata key: "${key}" (letters, digits, _ -, up to 40 characters)` };
+        }
+        if (!['string', 'number', 'boolean'].includes(typeof value) || String(value).length > MAX_METADATA_VALUE) {
+            return { ok: false, message: `metadata values must be strings up to ${MAX_METADATA_VALUE} characters` };
+        }
+        metadata[key] = String(value);
+    }
+    return { ok: true, metadata };
+}
+/*
+ * Query Filter:
+ * Reads the listing/report filters from a query string: 'tags' (comma
+ * separated, every tag must be present) and 'meta.<key>=<value>' (exact
+ * metadata value). Returns { ok: true, filter } where the filter is empty
+ * when neither is used, or { ok: false, message }.
+ */
+function buildFilter(query) {
+    const filter = {};
+
+    if (query.tags != null && query.tags !== '') {
+        const parsed = parseTags(String(query.tags));
+        if (!parsed.ok) return parsed;
+        if (parsed.tags.length > 0) filter.tags = { $all: parsed.tags };
+    }
+    for (const [name, value] of Object.entries(query)) {
+        if (!name.startsWith('meta.')) continue;
+        const key = name.slice(5);
+        if (!KEY_PATTERN.test(key) || typeof value !== 'string') {
+            return { ok: false, message: `Invalid metadata filter: ${name}` };
+        }
+        filter[`metadata.${key}`] = value;
+    }
+    return { ok: true, filter };
+}
+
+function isFiltered(filter) {
+    return Object.keys(filter).length > 0;
+}
+
+module.exports = {
+    parseTags,
+    parseMetadata,
+    buildFilter,
+    isFiltered
+};
@@ -0,0 +1,144 @@
+/*
+ * Time Zone Helpers:
+ * Costs are stored as UTC instants. Calendar values (the day of a cost,
+ * the window of a month) depend on the user's IANA time zone and are
+ * computed here with the built-in Intl API, so no zone database is needed.
+ */
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+function isTimeZone(name) {
+    if (typeof name !== 'string' || name === '') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: name });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+/*
+ * Zone Resolution:
+ * The user's zone when it is valid, else DEFAULT_TIMEZONE.
+ */
+function resolve(name) {
+    return isTimeZone(name) ? name : DEFAULT_TIMEZONE;
+}
+/*
+ * Local Parts:
+ * Returns { year, month, day, hour, minute, second } of an instant as seen
+ * on a wall clock in 'timeZone'.
+ */
+function zonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(new Date(date)).forEach(p => {
+        if (p.type !== 'literal') parts[p.type] = Number(p.value);
+    });
+    return parts;
+}
+/*
+ * Zone Offset:
+ * Milliseconds 'timeZone' is ahead of UTC at the given instant.
+ */
+function offsetAt(date, timeZone) {
+    const p = zonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000;
+}
+/*
+ * Local Midnight:
+ * The instant of 00:00 on the given calendar day in 'timeZone'. Month and
+ * day overflow like Date.UTC (month 13 is January of the next year).
+ * Next to a DST change the offset before and after it are both tried; the
+ * earliest one that falls on the requested day wins, so a midnight skipped
+ * by DST becomes the first instant of that day.
+ */
+function zonedMidnight(year, month, day, timeZone) {
+    const wall = Date.UTC(year, month - 1, day);
+    const target = new Date(wall).getUTCDate();
+    const first = wall - offsetAt(wall, timeZone);
+    const second = wall - offsetAt(first, timeZone);
+
+    const onDay = [first, second]
+        .filter(t => zonedParts(t, timeZone).day === target)
+        .sort((a, b) => a - b);
+    return new Date(onDay.length ? onDay[0] : Math.max(first, second));
+}
+/*
+ * Same Day Elsewhere:
+ * Midnight in 'toZone' of the calendar day 'date' falls on in 'fromZone'.
+ */
+function sameDayIn(date, fromZone, toZone) {
+    const p = zonedParts(date, fromZone);
+    return zonedMidnight(p.year, p.month, p.day, toZone);
+}
+/*
+ * Month Window:
+ * [start, end) of a calendar month in 'timeZone', for createdAt queries.
+ * With a 'startDay' after the 1st it is a budgeting month instead: month M
+ * runs from that day of the previous month up to that day of M (with 25,
+ * March is Feb 25 - Mar 24), so it is named after the month it ends in.
+ */
+function monthWindow(year, month, timeZone, startDay = 1) {
+    const first = startDay > 1 ? month - 1 : month;
+    return {
+        start: zonedMidnight(year, first, startDay, timeZone),
+        end: zonedMidnight(year, first + 1, startDay, timeZone)
+    };
+}
+/*
+ * Budgeting Month Of An Instant:
+ * { year, month } of the month window (see monthWindow) 'date' falls in:
+ * its calendar month in 'timeZone', or the next one once the day reaches
+ * a 'startDay' after the 1st.
+ */
+function monthOf(date, timeZone, startDay = 1) {
+    const p = zonedParts(date, timeZone);
+    if (startDay > 1 && p.day >= startDay) {
+        return p.month === 12 ? { year: p.year + 1, month: 1 } : { year: p.year, month: p.month + 1 };
+    }
+    return { year: p.year, month: p.month };
+}
+/*
+ * Day Order:
+ * Sort key of a calendar day within a month window starting on 'startDay',
+ * so that with 25 the 25th-31st come before the 1st-24th.
+ */
+function periodDay(day, startDay = 1) {
+    return day < startDay ? day + 31 : day;
+}
+/*
+ * Candidate Months:
+ * The months an instant can belong to in any zone (UTC-12 to UTC+14).
+ * Used where the owner's zone is unknown, e.g. to drop cached reports.
+ */
+function candidateMonths(date) {
+    const t = new Date(date).getTime();
+    const months = [];
+    [t - 12 * 3600000, t + 14 * 3600000].forEach(ms => {
+        const d = new Date(ms);
+        const ym = { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1 };
+        if (!months.some(m => m.year === ym.year && m.month === ym.month)) months.push(ym);
+    });
+    return months;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isTimeZone,
+    resolve,
+    zonedParts,
+    zonedMidnight,
+    sameDayIn,
+    monthWindow,
+    monthOf,
+    periodDay,
+    candidateMonths
+};
@@ -4,15 +4,18 @@ require('dotenv').config();
  * - express: Web framework for handling HTTP requests.
  * - mongoose: ODM for interacting with MongoDB.
  * - Log: Custom Mongoose model for the log structure.
+ * - auth: shared API key / JWT authentication (costmanager-shared, see ../shared/auth.js).
  */
 const express = require('express');
 const mongoose = require('mongoose');
 const Log = require('./models/Log');
+const auth = require('costmanager-shared/auth');
 /*
  * logs-service
  * Responsibilities:
  * - Receive logs from other services.
  * - Store logs in MongoDB.
+ * Only services (API key) may write logs; services, admins and auditors may read them.
  */
 const app = express();
 /*
@@ -21,6 +24,11 @@ const app = express();
  * This is crucial since other services will send logs as JSON.
  */
 app.use(express.json());
+/*
+ * Authentication:
+ * Every endpoint except the health check needs credentials.
+ */
+app.use(auth.authenticate({ publicRoutes: ['GET /health'] }));
 /*
  * MongoDB Connection:
  * Connects to the database using the URI defined in .env.
@@ -45,10 +53,10 @@ app.get('/health', (req, res) => {
 /*
  * GET /api/logs
  * Retrieval Handler:
- * Fetches all log entries from the database.
+ * Fetches all log entries from the database (admins, auditors and services).
  * Uses .lean() for better performance as we return plain JSON.
  */
-app.get('/api/logs', async (req, res) => {
+app.get('/api/logs', auth.requireRole('admin', 'auditor'), async (req, res) => {
     try {
         const logs = await Log.find().lean();
         res.json(logs);
@@ -68,7 +76,7 @@ app.get('/api/logs', async (req, res) => {
  * Log Ingestion:
  * Accepts log data from other microservices (e.g., costs-service).
  */
-app.post('/api/logs', async (req, res) => {
+app.post('/api/logs', auth.requireService, async (req, res) => {
     try {
         const { service, method, endpoint, status, message } = req.body;
         /*
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+/*
+ * Shared Authentication:
+ * Used by every service. A request is made either by a user, with a signed
+ * JWT from users-service (Authorization: Bearer <token>), or by another
+ * service, with an API key (X-API-Key: <key>).
+ * - JWT_SECRET signs and verifies user tokens (the same value in every service).
+ * - JWT_TTL is the token lifetime in seconds (default 3600).
+ * - SERVICE_API_KEYS lists the accepted keys as name:key pairs separated by
+ *   commas (e.g. "costs:k1,users:k2").
+ * - SERVICE_API_KEY is the key this service sends on its own calls.
+ * Only Node's crypto is used, so the module needs no install of its own.
+ */
+const DEFAULT_TTL = 3600;
+/*
+ * Roles:
+ * Carried in the user's token ('role' claim, set at login).
+ * - user: own data only.
+ * - auditor: may read every user's data, but not change it.
+ * - admin: may read and change everything.
+ * Services (API keys) have the same rights as an admin.
+ */
+const ROLES = ['user', 'auditor', 'admin'];
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function secret() {
+    return process.env.JWT_SECRET || null;
+}
+/*
+ * Constant-Time Compare:
+ * Hashing first gives both sides the same length, as timingSafeEqual requires.
+ */
+function safeEqual(a, b) {
+    const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(a), hash(b));
+}
+/*
+ * Token Signing (HS256):
+ * Returns a JWT for the user with the given public id, valid for JWT_TTL
+ * seconds. Throws when JWT_SECRET is not configured.
+ */
+function signToken(userid, extraClaims = {}) {
+    if (!secret()) throw new Error('JWT_SECRET is not configured');
+    const ttl = Number(process.env.JWT_TTL) || DEFAULT_TTL;
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ ...extraClaims, sub: String(userid), iat: now, exp: now + ttl }));
+    const signature = crypto.createHmac('sha256', secret()).update(`${header}.${payload}`).digest('base64url');
+    return { token: `${header}.${payload}.${signature}`, expiresIn: ttl };
+}
+/*
+ * Token Verification:
+ * Returns the claims of a valid, unexpired token, or null.
+ */
+function verifyToken(token) {
+    if (!secret() || typeof token !== 'string') return null;
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    const expected = crypto.createHmac('sha256', secret()).update(`${header}.${payload}`).digest('base64url');
+    if (!safeEqual(signature, expected)) return null;
+
+    try {
+        const head = JSON.parse(Buffer.from(header, 'base64url').toString());
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        if (head.alg !== 'HS256') return null;
+        if (typeof claims.exp !== 'number' || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+        return claims;
+    } catch (e) {
+        return null;
+    }
+}
+/*
+ * API Key Lookup:
+ * Returns the name of the service owning the key, or null.
+ */
+function serviceForKey(key) {
+    if (typeof key !== 'string' || key === '') return null;
+    const entries = String(process.env.SERVICE_API_KEYS || '')
+        .split(',')
+        .map(pair => pair.trim())
+        .filter(Boolean)
+        .map(pair => {
+            const at = pair.indexOf(':');
+            return at > 0 ? { name: pair.slice(0, at), key: pair.slice(at + 1) } : null;
+        })
+        .filter(entry => entry && entry.key);
+
+    const match = entries.find(entry => safeEqual(entry.key, key));
+    return match ? match.name : null;
+}
+/*
+ * Authentication Middleware:
+ * Sets req.auth to { type: 'user', userid, role, claims } or { type: 'service', name }.
+ * 'publicRoutes' lists "METHOD /path" entries that need no credentials
+ * (e.g. "GET /health"); every other request without valid credentials
+ * gets 401.
+ */
+function authenticate({ publicRoutes = [] } = {}) {
+    return (req, res, next) => {
+        const apiKey = req.get('X-API-Key');
+        if (apiKey) {
+            const name = serviceForKey(apiKey);
+            if (!name) return res.status(401).json({ id: 401, message: 'Invalid API key' });
+            req.auth = { type: 'service', name };
+            return next();
+        }
+        const header = req.get('Authorization') || '';
+        const match = header.match(/^Bearer\s+(\S+)$/i);
+        if (match) {
+            const claims = verifyToken(match[1]);
+            const userid = claims ? Number(claims.sub) : NaN;
+            if (!Number.isInteger(userid)) {
+                return res.status(401).json({ id: 401, message: 'Invalid or expired token' });
+            }
+            const role = ROLES.includes(claims.role) ? claims.role : 'user';
+            req.auth = { type: 'user', userid, role, claims };
+            return next();
+        }
+        if (publicRoutes.includes(`${req.method} ${req.path}`)) return next();
+        return res.status(401).json({ id: 401, message: 'Authentication required' });
+    };
+}
+/*
+ * Authorization Helpers:
+ * - isService: the request comes from another service.
+ * - hasRole: a service, or a user with one of the roles.
+ * - canAccessAll: may touch every user's data with this request (admins,
+ *   services, and auditors for GET/HEAD).
+ * - canAccessUser: canAccessAll, or the user with that id.
+ * - requireService / requireRole: middleware that answers 403 otherwise.
+ */
+function isService(req) {
+    return Boolean(req.auth && req.auth.type === 'service');
+}
+
+function hasRole(req, ...roles) {
+    if (!req.auth) return false;
+    return isService(req) || roles.includes(req.auth.role);
+}
+
+function canAccessAll(req) {
+    const reading = req.method === 'GET' || req.method === 'HEAD';
+    return hasRole(req, 'admin') || (reading && hasRole(req, 'auditor'));
+}
+
+function canAccessUser(req, userid) {
+    if (!req.auth) return false;
+    return canAccessAll(req) || req.auth.userid === Number(userid);
+}
+
+function requireService(req, res, next) {
+    if (isService(req)) return next();
+    return res.status(403).json({ id: 403, message: 'Only services may call this endpoint' });
+}
+
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (hasRole(req, ...roles)) return next();
+        return res.status(403).json({ id: 403, message: `Requires role: ${roles.join(' or ')}` });
+    };
+}
+/*
+ * Outgoing Calls:
+ * Headers that authenticate this service towards the others.
+ */
+function serviceHeaders() {
+    return process.env.SERVICE_API_KEY ? { 'X-API-Key': process.env.SERVICE_API_KEY } : {};
+}
+
+module.exports = {
+    ROLES,
+    signToken,
+    verifyToken,
+    authenticate,
+    isService,
+    hasRole,
+    canAccessAll,
+    canAccessUser,
+    requireService,
+    requireRole,
+    serviceHeaders
+};
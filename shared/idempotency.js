@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+/*
+ * Idempotent Requests:
+ * A client that may retry a POST (e.g. on a flaky mobile connection) sends
+ * an 'Idempotency-Key' header with a unique value (a UUID) per logical
+ * request. The first request with a key runs normally and its response is
+ * stored; a retry with the same key and body gets the stored response again
+ * (marked 'Idempotent-Replayed: true') instead of running twice.
+ * - The same key with a different body is rejected (422).
+ * - A retry while the first request is still running gets 409; a first
+ *   request that never finished (a crash or a timeout) is taken over by
+ *   the retry after PENDING_TIMEOUT_MS.
+ * - Server errors (5xx) are not stored, so such a request can be retried.
+ * Keys are scoped to the endpoint and the caller (user or service) and kept
+ * for a day (see models/IdempotencyKey.js, which each service builds on its
+ * own mongoose and passes in).
+ * Unauthenticated callers (e.g. signing up) cannot be told apart, so they
+ * must send a UUID as the key and are scoped by the request body as well:
+ * unrelated clients never share a key, and the same key with a different
+ * body is simply a new request.
+ */
+const MAX_KEY_LENGTH = 255;
+const PENDING_TIMEOUT_MS = 60 * 1000;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+/*
+ * Request Fingerprint:
+ * Hash of the body, to tell a retry from a different request.
+ */
+function fingerprint(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body == null ? {} : body)).digest('hex');
+}
+
+function callerOf(req, requestHash) {
+    if (!req.auth) return `anonymous:${requestHash}`;
+    return req.auth.type === 'service' ? `service:${req.auth.name}` : `user:${req.auth.userid}`;
+}
+/*
+ * Idempotency Middleware:
+ * 'Model' is a mongoose model with { key, scope, requestHash, state,
+ * lockedAt, status, body } and a unique index on (scope, key). Requests without the
+ * header pass through untouched.
+ */
+function idempotent(Model) {
+    return async (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+        if (key == null) return next();
+
+        if (key === '' || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+            return res.status(400).json({
+                id: 400,
+                message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} visible ASCII characters`
+            });
+        }
+        if (!req.auth && !UUID.test(key)) {
+            return res.status(400).json({ id: 400, message: 'Idempotency-Key must be a UUID without credentials' });
+        }
+        const requestHash = fingerprint(req.body);
+        const scope = `${req.method} ${req.baseUrl}${req.path} ${callerOf(req, requestHash)}`;
+        /*
+         * Claim The Key:
+         * Inserting the record is atomic thanks to the unique index; a
+         * duplicate key error means the key was seen before.
+         */
+        let record;
+        try {
+            record = await Model.create({ key, scope, requestHash, state: 'pending', lockedAt: new Date() });
+        } catch (err) {
+            if (!err || err.code !== 11000) {
+                return res.status(500).json({ id: 2, message: err ? err.message : 'Idempotency check failed' });
+            }
+            const seen = await Model.findOne({ scope, key }).lean().catch(() => null);
+
+            if (seen && seen.requestHash !== requestHash) {
+                return res.status(422).json({
+                    id: 422,
+                    message: 'Idempotency-Key was already used with a different request'
+                });
+            }
+            /*
+             * Abandoned Request:
+             * A pending record older than the timeout belongs to a request
+             * that died; the retry claims it (only one retry can) and runs.
+             */
+            const lockedAt = seen && (seen.lockedAt || seen.createdAt);
+            if (seen && seen.state === 'pending' && Date.now() - lockedAt >= PENDING_TIMEOUT_MS) {
+                record = await Model.findOneAndUpdate(
+                    { _id: seen._id, state: 'pending', lockedAt: seen.lockedAt || null },
+                    { $set: { lockedAt: new Date() } },
+                    { new: true }
+                ).catch(() => null);
+            }
+            if (!record) {
+                if (!seen || seen.state !== 'done') {
+                    return res.status(409).json({
+                        id: 409,
+                        message: 'A request with this Idempotency-Key is still in progress, retry shortly'
+                    });
+                }
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(seen.status).json(seen.body);
+            }
+        }
+        /*
+         * Store The Response:
+         * The outcome is saved before it is sent, so a retry that arrives
+         * right after the response sees it. Server errors free the key.
+         */
+        const send = res.json.bind(res);
+        res.json = body => {
+            const status = res.statusCode;
+            const saved = status >= 500
+                ? Model.deleteOne({ _id: record._id })
+                : Model.updateOne({ _id: record._id }, { $set: { state: 'done', status, body } });
+            return saved.then(() => send(body), () => send(body));
+        };
+        return next();
+    };
+}
+
+module.exports = {
+    idempotent
+};
@@ -0,0 +1,33 @@
+/*
+ * Counter Model
+ * Holds named sequences used to generate public numeric ids.
+ * Each document is one sequence; 'seq' stores the last issued value.
+ * Exported as a function of the calling service's mongoose, so the model
+ * is registered on that service's connection (and only once).
+ */
+function counterModel(mongoose) {
+    if (mongoose.models.Counter) return mongoose.models.Counter;
+
+    const counterSchema = new mongoose.Schema({
+        _id: { type: String, required: true },
+        seq: { type: Number, default: 0 }
+    });
+    /*
+     * next(name, count):
+     * Atomically increments the named sequence and returns the new value.
+     * With 'count' > 1 a block of ids is reserved and the last one is returned
+     * (the block is last - count + 1 .. last).
+     * The upsert creates the sequence on first use, so no seeding is required.
+     */
+    counterSchema.statics.next = async function (name, count = 1) {
+        const counter = await this.findOneAndUpdate(
+            { _id: name },
+            { $inc: { seq: count } },
+            { new: true, upsert: true }
+        ).lean();
+        return counter.seq;
+    };
+    return mongoose.model('Counter', counterSchema);
+}
+
+module.exports = counterModel;
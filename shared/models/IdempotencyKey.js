@@ -0,0 +1,44 @@
+/*
+ * Idempotency Key Model
+ * One document per Idempotency-Key seen on a POST (see ../idempotency.js):
+ * the request's fingerprint and, once it has finished, the response that
+ * retries get back. Exported as a function of the calling service's
+ * mongoose, like Counter.
+ */
+function idempotencyKeyModel(mongoose) {
+    if (mongoose.models.IdempotencyKey) return mongoose.models.IdempotencyKey;
+
+    const idempotencyKeySchema = new mongoose.Schema({
+        key: { type: String, required: true },
+        /*
+         * Scope:
+         * Endpoint and caller, so different users never share a key.
+         */
+        scope: { type: String, required: true },
+        requestHash: { type: String, required: true },
+        /*
+         * Outcome:
+         * 'pending' while the first request runs, then 'done' with the
+         * HTTP status and JSON body that were sent.
+         */
+        state: { type: String, enum: ['pending', 'done'], default: 'pending' },
+        /*
+         * Lease:
+         * When the pending request started; a retry may take over a
+         * request that stayed pending too long.
+         */
+        lockedAt: { type: Date, default: Date.now },
+        status: { type: Number },
+        body: { type: mongoose.Schema.Types.Mixed },
+        /*
+         * Expiry:
+         * MongoDB's TTL monitor removes keys a day after first use.
+         */
+        createdAt: { type: Date, default: Date.now, expires: 24 * 60 * 60 }
+    });
+
+    idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+    return mongoose.model('IdempotencyKey', idempotencyKeySchema);
+}
+
+module.exports = idempotencyKeyModel;
@@ -1,6 +1,6 @@
 const axios = require("axios");
-const { ADMIN_URL } = require("./config");
-const { waitForService } = require("./helpers");
+const { ADMIN_URL, USERS_URL } = require("./config");
+const { waitForService, requestSafe, assertErrorShape } = require("./helpers");
 /*
  * Test Configuration:
  * Increase the default Jest timeout to 60 seconds.
@@ -39,4 +39,51 @@ describe("admin-service", () => {
         expect(res.status).toBe(200);
         expect(typeof res.data).toBe("object");
     });
+    /*
+     * Login Helper:
+     * Creates a user with a password, optionally gives it a role (with the
+     * API key) and returns an axios instance carrying the user's token.
+     */
+    async function loginAs(id, role) {
+        await axios.post(USERS_URL + "/api/add", {
+            id, first_name: "Jest", last_name: "Roles", birthday: "1990-01-01", password: "jest-secret-1"
+        });
+        if (role) await axios.put(USERS_URL + `/api/users/${id}/role`, { role });
+        const login = await axios.post(USERS_URL + "/api/login", { id, password: "jest-secret-1" });
+        return axios.create({ headers: { Authorization: `Bearer ${login.data.token}` } });
+    }
+    /*
+     * Admin Surface:
+     * An admin sees every user with their totals and the system stats.
+     */
+    test("GET /api/admin/users and /api/admin/stats as admin -> 200", async () => {
+        const id = 700000 + (Date.now() % 90000);
+        const asAdmin = await loginAs(id, "admin");
+
+        const users = await asAdmin.get(ADMIN_URL + "/api/admin/users");
+        expect(users.status).toBe(200);
+        const self = users.data.users.find(u => u.id === id);
+        expect(self.role).toBe("admin");
+        expect(typeof self.total).toBe("number");
+
+        const stats = await asAdmin.get(ADMIN_URL + "/api/admin/stats");
+        expect(stats.status).toBe(200);
+        expect(Array.isArray(stats.data.categories)).toBe(true);
+
+        await axios.delete(USERS_URL + `/api/users/${id}`);
+    });
+    /*
+     * Negative Test (Role Check):
+     * A plain user is refused by the admin endpoints.
+     */
+    test("GET /api/admin/users as plain user -> 403 {id,message}", async () => {
+        const id = 700000 + ((Date.now() + 50000) % 90000);
+        const asUser = await loginAs(id);
+
+        const out = await requestSafe(asUser.get(ADMIN_URL + "/api/admin/users"));
+        expect(out.status).toBe(403);
+        assertErrorShape(out.data);
+
+        await axios.delete(USERS_URL + `/api/users/${id}`);
+    });
 });
\ No newline at end of file
@@ -20,6 +20,12 @@ module.exports = {
      */
     TEST_USER_ID: 123123,
     TEST_YEAR: 2026,
-    TEST_MONTH: 1
+    TEST_MONTH: 1,
+    /*
+     * Service Credentials:
+     * An API key listed in the services' SERVICE_API_KEYS, taken from the
+     * environment so it never lands in the repository.
+     */
+    API_KEY: process.env.API_KEY
 };
 
@@ -1,5 +1,5 @@
 const axios = require("axios");
-const { COSTS_URL, TEST_USER_ID, TEST_YEAR, TEST_MONTH } = require("./config");
+const { COSTS_URL, USERS_URL, TEST_USER_ID, TEST_YEAR, TEST_MONTH } = require("./config");
 const { waitForService, requestSafe, assertErrorShape } = require("./helpers");
 /*
  * Costs Service Test Suite:
@@ -159,4 +159,830 @@ describe("costs-service", () => {
          */
         expect(out.data.message).toBe('Cannot add cost for a past date');
     });
+    /*
+     * Edit & Delete Flow:
+     * Creates a cost, changes its sum with PATCH and then deletes it.
+     * Uses the public 'id' returned by POST /api/add.
+     */
+    test("PATCH then DELETE /api/costs/:id -> 200", async () => {
+        const created = await axios.post(COSTS_URL + "/api/add", {
+            userid: TEST_USER_ID,
+            description: "edit me",
+            category: "food",
+            sum: 5
+        });
+        expect(created.data).toHaveProperty("id");
+        const costUrl = COSTS_URL + `/api/costs/${created.data.id}`;
+
+        const patched = await axios.patch(costUrl, { sum: 7 });
+        expect(patched.status).toBe(200);
+        expect(patched.data.sum).toBe(7);
+        expect(patched.data.description).toBe("edit me");
+
+        const deleted = await axios.delete(costUrl);
+        expect(deleted.status).toBe(200);
+
+        const again = await requestSafe(axios.delete(costUrl));
+        expect(again.status).toBe(404);
+        assertErrorShape(again.data);
+    });
+    /*
+     * Negative Test (Edit Validation):
+     * PATCH with an invalid sum must be rejected before any lookup.
+     */
+    test("PATCH /api/costs/:id invalid sum -> 400 {id,message}", async () => {
+        const out = await requestSafe(axios.patch(COSTS_URL + "/api/costs/1", { sum: -3 }));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Cost Listing:
+     * Requests a small page of the user's costs sorted by sum.
+     * Checks the page shape and, if present, that the cursor fetches the next page.
+     */
+    test("GET /api/costs paginated -> 200 with costs and nextCursor", async () => {
+        const url = COSTS_URL + `/api/costs?userid=${TEST_USER_ID}&sort=sum&order=asc&limit=2`;
+        const res = await axios.get(url);
+        expect(res.status).toBe(200);
+        expect(Array.isArray(res.data.costs)).toBe(true);
+        expect(res.data.costs.length).toBeLessThanOrEqual(2);
+        expect(res.data).toHaveProperty("nextCursor");
+
+        if (res.data.nextCursor) {
+            const next = await axios.get(url + `&cursor=${encodeURIComponent(res.data.nextCursor)}`);
+            expect(next.status).toBe(200);
+            expect(next.data.costs[0].sum).toBeGreaterThanOrEqual(res.data.costs[1].sum);
+        }
+    });
+    /*
+     * Negative Test (Listing Params):
+     * A malformed cursor must be rejected with the standard error shape.
+     */
+    test("GET /api/costs bad cursor -> 400 {id,message}", async () => {
+        const out = await requestSafe(axios.get(COSTS_URL + "/api/costs?cursor=not-a-cursor"));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Range Report:
+     * Requests a three month range and checks that one entry per month
+     * is returned along with the category and grand totals.
+     */
+    test("GET /api/report/range -> 200 with months, categories and total", async () => {
+        const url = COSTS_URL + `/api/report/range?userid=${TEST_USER_ID}&from=${TEST_YEAR - 1}-11&to=${TEST_YEAR}-01`;
+        const res = await axios.get(url);
+        expect(res.status).toBe(200);
+        expect(res.data.months).toHaveLength(3);
+        expect(res.data.months[0]).toMatchObject({ year: TEST_YEAR - 1, month: 11 });
+        expect(typeof res.data.categories).toBe("object");
+        expect(typeof res.data.total).toBe("number");
+    });
+    /*
+     * Negative Test (Range Order):
+     * A range whose start is after its end must be rejected.
+     */
+    test("GET /api/report/range reversed -> 400 {id,message}", async () => {
+        const url = COSTS_URL + `/api/report/range?userid=${TEST_USER_ID}&from=${TEST_YEAR}-05&to=${TEST_YEAR}-01`;
+        const out = await requestSafe(axios.get(url));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Yearly Report:
+     * Always covers the twelve months of the requested year.
+     */
+    test("GET /api/report/year -> 200 with 12 months", async () => {
+        const res = await axios.get(COSTS_URL + `/api/report/year?userid=${TEST_USER_ID}&year=${TEST_YEAR}`);
+        expect(res.status).toBe(200);
+        expect(res.data.months).toHaveLength(12);
+        expect(res.data).toHaveProperty("total");
+    });
+    /*
+     * Exchange Rates:
+     * The rate table always contains the base currency with rate 1.
+     */
+    test("GET /api/rates -> 200 with base currency", async () => {
+        const res = await axios.get(COSTS_URL + "/api/rates");
+        expect(res.status).toBe(200);
+        expect(res.data.rates).toContainEqual({ currency: res.data.base, rate: 1 });
+    });
+    /*
+     * Negative Test (Currency Code):
+     * A currency that is not a 3-letter code is rejected on add.
+     */
+    test("POST /api/add invalid currency -> 400 {id,message}", async () => {
+        const payload = {
+            userid: TEST_USER_ID,
+            description: "ticket",
+            category: "travel",
+            sum: 10,
+            currency: "DOLLARS"
+        };
+        const out = await requestSafe(axios.post(COSTS_URL + "/api/add", payload));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Negative Test (Report Currency):
+     * Asking for a report in a currency without a rate is rejected.
+     */
+    test("GET /api/report unknown currency -> 400 {id,message}", async () => {
+        const url = COSTS_URL + `/api/report?userid=${TEST_USER_ID}&year=${TEST_YEAR}&month=${TEST_MONTH}&currency=XXX`;
+        const out = await requestSafe(axios.get(url));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Negative Test (Decimal Places):
+     * Sums are exact decimals limited to the currency's minor unit,
+     * so a third decimal place is rejected for the base currency.
+     */
+    test("POST /api/add too many decimals -> 400 {id,message}", async () => {
+        const payload = {
+            userid: TEST_USER_ID,
+            description: "precise",
+            category: "food",
+            sum: 1.005
+        };
+        const out = await requestSafe(axios.post(COSTS_URL + "/api/add", payload));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+        expect(out.data.message).toMatch(/decimal places/);
+    });
+    /*
+     * Recurring Costs:
+     * Creates a monthly template starting at the beginning of the test month,
+     * checks it was accepted and then stops it.
+     */
+    test("POST then DELETE /api/recurring -> 201/200", async () => {
+        const month = String(TEST_MONTH).padStart(2, "0");
+        const payload = {
+            userid: TEST_USER_ID,
+            description: "gym membership",
+            category: "sports",
+            sum: 120,
+            frequency: "monthly",
+            startDate: `${TEST_YEAR}-${month}-01`,
+            endDate: `${TEST_YEAR}-${month}-01`
+        };
+        const created = await requestSafe(axios.post(COSTS_URL + "/api/recurring", payload));
+        expect(created.status).toBe(201);
+        expect(created.data).toHaveProperty("id");
+        expect(created.data.frequency).toBe("monthly");
+
+        const stopped = await axios.delete(COSTS_URL + `/api/recurring/${created.data.id}`);
+        expect(stopped.status).toBe(200);
+        expect(stopped.data.active).toBe(false);
+    });
+    /*
+     * Negative Test (Frequency):
+     * Unknown repeat units are rejected.
+     */
+    test("POST /api/recurring bad frequency -> 400 {id,message}", async () => {
+        const payload = { userid: TEST_USER_ID, description: "x", category: "food", sum: 1, frequency: "hourly" };
+        const out = await requestSafe(axios.post(COSTS_URL + "/api/recurring", payload));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Budgets:
+     * Sets a budget for the test month and checks that the monthly report
+     * returns budget vs. actual for that category.
+     */
+    test("POST /api/budgets then GET /api/report -> includes budgets", async () => {
+        const payload = {
+            userid: TEST_USER_ID,
+            category: "food",
+            amount: 500,
+            year: TEST_YEAR,
+            month: TEST_MONTH
+        };
+        const out = await requestSafe(axios.post(COSTS_URL + "/api/budgets", payload));
+        expect([200, 201]).toContain(out.status);
+        expect(out.data).toHaveProperty("id");
+
+        const url = COSTS_URL + `/api/report?userid=${TEST_USER_ID}&year=${TEST_YEAR}&month=${TEST_MONTH}`;
+        const res = await axios.get(url);
+        const food = res.data.budgets.find(b => b.category === "food");
+        expect(food).toBeDefined();
+        expect(food).toHaveProperty("actual");
+        expect(food).toHaveProperty("remaining");
+    });
+    /*
+     * Negative Test (Budget Amount):
+     * A budget must be a positive amount.
+     */
+    test("POST /api/budgets negative amount -> 400 {id,message}", async () => {
+        const payload = { userid: TEST_USER_ID, category: "food", amount: -5 };
+        const out = await requestSafe(axios.post(COSTS_URL + "/api/budgets", payload));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Category Catalog:
+     * The catalog is listed in report order and contains the default categories.
+     */
+    test("GET /api/categories -> 200 with default categories", async () => {
+        const res = await axios.get(COSTS_URL + "/api/categories");
+        expect(res.status).toBe(200);
+        const names = res.data.map(c => c.name);
+        expect(names).toEqual(expect.arrayContaining(["food", "health", "housing", "sports", "education"]));
+    });
+    /*
+     * Negative Test (Duplicate Category):
+     * A name already used by the catalog cannot be added again.
+     */
+    test("POST /api/categories existing name -> 409 {id,message}", async () => {
+        const out = await requestSafe(axios.post(COSTS_URL + "/api/categories", { name: "Food" }));
+        expect(out.status).toBe(409);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Bulk Import (Dry Run):
+     * Sends one valid and one invalid CSV row without saving anything.
+     * Expects the valid row to be counted and the invalid one reported by number.
+     */
+    test("POST /api/import?dryRun=true CSV -> 200 with per-row errors", async () => {
+        const csv = [
+            "userid,sum,category,description,createdAt",
+            `${TEST_USER_ID},12.5,food,imported coffee,`,
+            `${TEST_USER_ID},abc,food,broken row,`
+        ].join("\n");
+        const out = await requestSafe(axios.post(COSTS_URL + "/api/import?dryRun=true", csv, {
+            headers: { "Content-Type": "text/csv" }
+        }));
+        expect(out.status).toBe(200);
+        expect(out.data).toMatchObject({ dryRun: true, total: 2, valid: 1, inserted: 0 });
+        expect(out.data.errors).toEqual([{ row: 2, message: "Missing required fields" }]);
+    });
+    /*
+     * Negative Test (Empty Import):
+     * An empty array is rejected.
+     */
+    test("POST /api/import empty -> 400 {id,message}", async () => {
+        const out = await requestSafe(axios.post(COSTS_URL + "/api/import", []));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Report Export (CSV):
+     * format=csv returns a CSV download whose first line is the column header.
+     */
+    test("GET /api/report?format=csv -> 200 text/csv", async () => {
+        const url = COSTS_URL + `/api/report?userid=${TEST_USER_ID}&year=${TEST_YEAR}&month=${TEST_MONTH}&format=csv`;
+        const res = await axios.get(url);
+        expect(res.status).toBe(200);
+        expect(res.headers["content-type"]).toMatch(/text\/csv/);
+        expect(res.data.split("\r\n")[0]).toBe("category,day,description,sum");
+    });
+    /*
+     * Report Export (HTML):
+     * The Accept header selects the printable statement.
+     */
+    test("GET /api/report Accept text/html -> 200 HTML statement", async () => {
+        const url = COSTS_URL + `/api/report?userid=${TEST_USER_ID}&year=${TEST_YEAR}&month=${TEST_MONTH}`;
+        const res = await axios.get(url, { headers: { Accept: "text/html" } });
+        expect(res.status).toBe(200);
+        expect(res.headers["content-type"]).toMatch(/text\/html/);
+        expect(res.data).toMatch(/Total:/);
+    });
+    /*
+     * Negative Test (Format):
+     * Unknown formats are rejected.
+     */
+    test("GET /api/report?format=pdf -> 400 {id,message}", async () => {
+        const url = COSTS_URL + `/api/report?userid=${TEST_USER_ID}&year=${TEST_YEAR}&month=${TEST_MONTH}&format=pdf`;
+        const out = await requestSafe(axios.get(url));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Group Balances:
+     * An equal split between two members leaves the payer owed half the sum.
+     */
+    test("POST /api/groups + shared cost -> balances settle up", async () => {
+        const group = await axios.post(COSTS_URL + "/api/groups", {
+            name: "jest household",
+            members: [TEST_USER_ID]
+        });
+        expect(group.status).toBe(201);
+        expect(typeof group.data.id).toBe("number");
+
+        const expense = await axios.post(COSTS_URL + `/api/groups/${group.data.id}/costs`, {
+            paidBy: TEST_USER_ID,
+            description: "jest shared groceries",
+            category: "food",
+            sum: 10
+        });
+        expect(expense.status).toBe(201);
+        expect(expense.data.shares).toEqual([{ userid: TEST_USER_ID, amount: 10 }]);
+
+        const balances = await axios.get(COSTS_URL + `/api/groups/${group.data.id}/balances`);
+        expect(balances.status).toBe(200);
+        expect(balances.data.balances[0].net).toBe(0);
+        expect(balances.data.settlements).toEqual([]);
+
+        const del = await axios.delete(COSTS_URL + `/api/groups/${group.data.id}/costs/${expense.data.id}`);
+        expect(del.status).toBe(200);
+
+        const removed = await axios.delete(COSTS_URL + `/api/groups/${group.data.id}`);
+        expect(removed.status).toBe(200);
+        const gone = await requestSafe(axios.get(COSTS_URL + `/api/groups/${group.data.id}`));
+        expect(gone.status).toBe(404);
+    });
+    /*
+     * Negative Test (Split):
+     * Percentages that do not add up to 100 are rejected.
+     */
+    test("POST /api/groups/:id/costs bad percentages -> 400 {id,message}", async () => {
+        const group = await axios.post(COSTS_URL + "/api/groups", {
+            name: "jest split",
+            members: [TEST_USER_ID]
+        });
+        const out = await requestSafe(
+            axios.post(COSTS_URL + `/api/groups/${group.data.id}/costs`, {
+                paidBy: TEST_USER_ID,
+                description: "jest bad split",
+                category: "food",
+                sum: 10,
+                split: "percentage",
+                shares: { [TEST_USER_ID]: 50 }
+            })
+        );
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+        await axios.delete(COSTS_URL + `/api/groups/${group.data.id}`);
+    });
+    /*
+     * Negative Test (Participants):
+     * participants must be an array of members, not a single userid.
+     */
+    test("POST /api/groups/:id/costs participants not an array -> 400 {id,message}", async () => {
+        const group = await axios.post(COSTS_URL + "/api/groups", {
+            name: "jest participants",
+            members: [TEST_USER_ID]
+        });
+        const out = await requestSafe(
+            axios.post(COSTS_URL + `/api/groups/${group.data.id}/costs`, {
+                paidBy: TEST_USER_ID,
+                description: "jest bad participants",
+                category: "food",
+                sum: 10,
+                participants: TEST_USER_ID
+            })
+        );
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+        await axios.delete(COSTS_URL + `/api/groups/${group.data.id}`);
+    });
+    /*
+     * Negative Test (Group Members):
+     * Removing a user who is not a member of the group gives 404.
+     */
+    test("DELETE /api/groups/:id/members/:userid non-member -> 404 {id,message}", async () => {
+        const group = await axios.post(COSTS_URL + "/api/groups", {
+            name: "jest members",
+            members: [TEST_USER_ID]
+        });
+        const out = await requestSafe(axios.delete(COSTS_URL + `/api/groups/${group.data.id}/members/${TEST_USER_ID + 1}`));
+        expect(out.status).toBe(404);
+        assertErrorShape(out.data);
+        await axios.delete(COSTS_URL + `/api/groups/${group.data.id}`);
+    });
+    /*
+     * Timestamps:
+     * createdAt accepts a full ISO timestamp with an offset and stores it in UTC.
+     */
+    test("POST /api/add ISO timestamp with offset -> 201 stored in UTC", async () => {
+        const res = await axios.post(COSTS_URL + "/api/add", {
+            userid: TEST_USER_ID,
+            description: "jest timestamp",
+            category: "food",
+            sum: 1,
+            createdAt: "2026-01-05T01:30:00+02:00"
+        });
+        expect(res.status).toBe(201);
+        expect(new Date(res.data.createdAt).toISOString()).toBe("2026-01-04T23:30:00.000Z");
+        await axios.delete(COSTS_URL + `/api/costs/${res.data.id}`);
+    });
+    /*
+     * Negative Test (Timestamp):
+     * A timestamp without an offset is ambiguous and rejected.
+     */
+    test("POST /api/add timestamp without offset -> 400 {id,message}", async () => {
+        const out = await requestSafe(
+            axios.post(COSTS_URL + "/api/add", {
+                userid: TEST_USER_ID,
+                description: "jest timestamp",
+                category: "food",
+                sum: 1,
+                createdAt: "2026-01-05T01:30:00"
+            })
+        );
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Analytics:
+     * The statistics come back for every weekday and every average window.
+     */
+    test("GET /api/analytics -> 200 with trends and distributions", async () => {
+        const url = COSTS_URL + `/api/analytics?userid=${TEST_USER_ID}&year=${TEST_YEAR}&month=${TEST_MONTH}&top=3`;
+        const res = await axios.get(url);
+        expect(res.status).toBe(200);
+        expect(res.data.averages.map(a => a.months)).toEqual([3, 6, 12]);
+        expect(res.data.weekdays).toHaveLength(7);
+        expect(res.data.topDescriptions.length).toBeLessThanOrEqual(3);
+        expect(Array.isArray(res.data.monthOverMonth)).toBe(true);
+    });
+    /*
+     * Negative Test (Analytics):
+     * 'top' outside 1-50 is rejected.
+     */
+    test("GET /api/analytics?top=0 -> 400 {id,message}", async () => {
+        const out = await requestSafe(axios.get(COSTS_URL + `/api/analytics?userid=${TEST_USER_ID}&top=0`));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Anomaly Detection:
+     * After a history of small costs, a 100x sum is flagged and listed for review.
+     */
+    test("POST /api/add unusual sum -> 201 with warning, listed in /api/anomalies", async () => {
+        const category = `jest-anomaly-${Date.now()}`;
+        const created = [];
+        for (let i = 0; i < 5; i++) {
+            const res = await axios.post(COSTS_URL + "/api/add", {
+                userid: TEST_USER_ID, description: "jest usual", category, sum: 10
+            });
+            created.push(res.data.id);
+        }
+        const res = await axios.post(COSTS_URL + "/api/add", {
+            userid: TEST_USER_ID, description: "jest unusual", category, sum: 1000
+        });
+        created.push(res.data.id);
+        expect(res.status).toBe(201);
+        expect(typeof res.data.warning).toBe("string");
+        expect(res.data.anomaly.score).toBe(100);
+
+        const list = await axios.get(COSTS_URL + `/api/anomalies?userid=${TEST_USER_ID}&reviewed=false`);
+        expect(list.data.some(c => c.id === res.data.id)).toBe(true);
+
+        const reviewed = await axios.patch(COSTS_URL + `/api/anomalies/${res.data.id}`, { reviewed: true });
+        expect(reviewed.data.anomaly.reviewed).toBe(true);
+
+        for (const id of created) {
+            await axios.delete(COSTS_URL + `/api/costs/${id}`);
+        }
+    });
+    /*
+     * Negative Test (Anomalies):
+     * The reviewed filter only accepts true or false.
+     */
+    test("GET /api/anomalies?reviewed=maybe -> 400 {id,message}", async () => {
+        const out = await requestSafe(axios.get(COSTS_URL + "/api/anomalies?reviewed=maybe"));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Full-Text Search:
+     * A stemmed query finds the cost and marks the matched word.
+     */
+    test("GET /api/search -> ranked matches with highlight", async () => {
+        const created = await axios.post(COSTS_URL + "/api/add", {
+            userid: TEST_USER_ID,
+            description: "jest dentist appointment",
+            category: "health",
+            sum: 7
+        });
+        const res = await axios.get(COSTS_URL + `/api/search?userid=${TEST_USER_ID}&q=dentists`);
+        expect(res.status).toBe(200);
+        const hit = res.data.results.find(r => r.id === created.data.id);
+        expect(hit).toBeDefined();
+        expect(hit.highlight).toContain("<mark>dentist</mark>");
+        expect(typeof hit.score).toBe("number");
+        await axios.delete(COSTS_URL + `/api/costs/${created.data.id}`);
+    });
+    /*
+     * Negative Test (Search):
+     * A query text is required.
+     */
+    test("GET /api/search without q -> 400 {id,message}", async () => {
+        const out = await requestSafe(axios.get(COSTS_URL + `/api/search?userid=${TEST_USER_ID}`));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Tags & Metadata:
+     * A tagged cost is found by the tag and metadata filters and counted in the tag totals.
+     */
+    test("POST /api/add with tags -> filter and /api/tags totals", async () => {
+        const tag = `jest-tag-${Date.now()}`;
+        const created = await axios.post(COSTS_URL + "/api/add", {
+            userid: TEST_USER_ID,
+            description: "jest tagged",
+            category: "food",
+            sum: 12.5,
+            tags: [tag, "Reimbursable"],
+            metadata: { project: "jest" }
+        });
+        expect(created.status).toBe(201);
+        expect(created.data.tags).toEqual([tag, "reimbursable"]);
+
+        const list = await axios.get(COSTS_URL + `/api/costs?userid=${TEST_USER_ID}&tags=${tag}&meta.project=jest`);
+        expect(list.data.costs.map(c => c.id)).toEqual([created.data.id]);
+
+        const totals = await axios.get(COSTS_URL + `/api/tags?userid=${TEST_USER_ID}`);
+        expect(totals.data.tags.find(t => t.tag === tag)).toMatchObject({ count: 1 });
+
+        await axios.delete(COSTS_URL + `/api/costs/${created.data.id}`);
+    });
+    /*
+     * Negative Test (Tags):
+     * Tags with spaces are rejected.
+     */
+    test("POST /api/add invalid tag -> 400 {id,message}", async () => {
+        const out = await requestSafe(
+            axios.post(COSTS_URL + "/api/add", {
+                userid: TEST_USER_ID,
+                description: "jest bad tag",
+                category: "food",
+                sum: 1,
+                tags: ["not a tag"]
+            })
+        );
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Receipts:
+     * A PDF is attached, served back as is and removed together with its cost.
+     */
+    test("POST /api/costs/:id/receipts -> 201, download, cascade on delete", async () => {
+        const created = await axios.post(COSTS_URL + "/api/add", {
+            userid: TEST_USER_ID, description: "jest receipt", category: "food", sum: 3
+        });
+        const pdf = "%PDF-1.4 jest receipt";
+        const form = new FormData();
+        form.append("file", new Blob([pdf], { type: "application/pdf" }), "receipt.pdf");
+
+        const uploaded = await axios.post(COSTS_URL + `/api/costs/${created.data.id}/receipts`, form);
+        expect(uploaded.status).toBe(201);
+        expect(uploaded.data).toMatchObject({ costId: created.data.id, contentType: "application/pdf" });
+
+        const file = await axios.get(COSTS_URL + `/api/receipts/${uploaded.data.id}`, { responseType: "text" });
+        expect(file.headers["content-type"]).toMatch(/application\/pdf/);
+        expect(file.data).toBe(pdf);
+
+        await axios.delete(COSTS_URL + `/api/costs/${created.data.id}`);
+        const gone = await requestSafe(axios.get(COSTS_URL + `/api/receipts/${uploaded.data.id}`));
+        expect(gone.status).toBe(404);
+    });
+    /*
+     * Receipts Follow Their Cost:
+     * Moving a cost to another user moves its receipts, so only the new
+     * owner can download them.
+     */
+    test("PATCH /api/costs/:id userid -> receipt moves to the new owner", async () => {
+        const base = 700000 + (Date.now() % 90000);
+        const asUser = async id => {
+            await axios.post(USERS_URL + "/api/add", {
+                id, first_name: "Jest", last_name: "Receipts", birthday: "1990-01-01", password: "jest-secret-1"
+            });
+            const login = await axios.post(USERS_URL + "/api/login", { id, password: "jest-secret-1" });
+            return axios.create({ headers: { Authorization: `Bearer ${login.data.token}` } });
+        };
+        const asOld = await asUser(base);
+        const asNew = await asUser(base + 1);
+
+        const created = await asOld.post(COSTS_URL + "/api/add", {
+            userid: base, description: "jest moved receipt", category: "food", sum: 3
+        });
+        const form = new FormData();
+        form.append("file", new Blob(["%PDF-1.4 jest moved"], { type: "application/pdf" }), "receipt.pdf");
+        const uploaded = await asOld.post(COSTS_URL + `/api/costs/${created.data.id}/receipts`, form);
+
+        await axios.patch(COSTS_URL + `/api/costs/${created.data.id}`, { userid: base + 1 });
+
+        const oldOwner = await requestSafe(asOld.get(COSTS_URL + `/api/receipts/${uploaded.data.id}`));
+        expect(oldOwner.status).toBe(404);
+        const newOwner = await asNew.get(COSTS_URL + `/api/receipts/${uploaded.data.id}`, { responseType: "text" });
+        expect(newOwner.status).toBe(200);
+
+        await axios.delete(USERS_URL + `/api/users/${base + 1}?cascade=true`);
+        await axios.delete(USERS_URL + `/api/users/${base}`);
+    });
+    /*
+     * Negative Test (Receipts):
+     * Files that are neither images nor PDFs are rejected with 415.
+     */
+    test("POST /api/costs/:id/receipts text file -> 415 {id,message}", async () => {
+        const created = await axios.post(COSTS_URL + "/api/add", {
+            userid: TEST_USER_ID, description: "jest receipt", category: "food", sum: 3
+        });
+        const form = new FormData();
+        form.append("file", new Blob(["just some text, not a receipt"], { type: "image/png" }), "fake.png");
+
+        const out = await requestSafe(axios.post(COSTS_URL + `/api/costs/${created.data.id}/receipts`, form));
+        expect(out.status).toBe(415);
+        assertErrorShape(out.data);
+        await axios.delete(COSTS_URL + `/api/costs/${created.data.id}`);
+    });
+    /*
+     * Reimbursements:
+     * A drafted claim is recorded in the history and counted as personal.
+     */
+    test("POST /api/costs/:id/reimbursement draft -> history + report split", async () => {
+        const created = await axios.post(COSTS_URL + "/api/add", {
+            userid: TEST_USER_ID, description: "jest taxi", category: "education", sum: 12,
+            createdAt: `${TEST_YEAR}-0${TEST_MONTH}-15`
+        });
+        const step = await axios.post(COSTS_URL + `/api/costs/${created.data.id}/reimbursement`, {
+            status: "draft", by: TEST_USER_ID, comment: "client visit"
+        });
+        expect(step.status).toBe(200);
+        expect(step.data.reimbursement.status).toBe("draft");
+
+        const claim = await axios.get(COSTS_URL + `/api/costs/${created.data.id}/reimbursement`);
+        expect(claim.data.status).toBe("draft");
+        expect(claim.data.history).toHaveLength(1);
+        expect(claim.data.history[0]).toMatchObject({ from: "none", to: "draft", by: TEST_USER_ID, comment: "client visit" });
+
+        const report = await axios.get(COSTS_URL + `/api/report?userid=${TEST_USER_ID}&year=${TEST_YEAR}&month=${TEST_MONTH}`);
+        expect(report.data.reimbursement).toEqual(expect.objectContaining({
+            personal: expect.any(Number), pending: expect.any(Number), reimbursed: expect.any(Number)
+        }));
+        await axios.delete(COSTS_URL + `/api/costs/${created.data.id}`);
+    });
+    /*
+     * Negative Test (Reimbursements):
+     * A cost that was never submitted cannot be approved.
+     */
+    test("POST /api/costs/:id/reimbursement none -> approved -> 409 {id,message}", async () => {
+        const created = await axios.post(COSTS_URL + "/api/add", {
+            userid: TEST_USER_ID, description: "jest taxi", category: "education", sum: 12
+        });
+        const out = await requestSafe(axios.post(COSTS_URL + `/api/costs/${created.data.id}/reimbursement`, {
+            status: "approved", by: TEST_USER_ID + 1
+        }));
+        expect(out.status).toBe(409);
+        assertErrorShape(out.data);
+        await axios.delete(COSTS_URL + `/api/costs/${created.data.id}`);
+    });
+    /*
+     * Negative Test (Foreign Claim):
+     * A plain user cannot approve another user's submitted claim.
+     */
+    test("POST /api/costs/:id/reimbursement approved by another user -> 403/404 {id,message}", async () => {
+        const base = 500000 + (Date.now() % 90000);
+        const asUser = async id => {
+            await axios.post(USERS_URL + "/api/add", {
+                id, first_name: "Jest", last_name: "Claims", birthday: "1990-01-01", password: "jest-secret-1"
+            });
+            const login = await axios.post(USERS_URL + "/api/login", { id, password: "jest-secret-1" });
+            return axios.create({ headers: { Authorization: `Bearer ${login.data.token}` } });
+        };
+        const asOwner = await asUser(base);
+        const asOther = await asUser(base + 1);
+
+        const created = await asOwner.post(COSTS_URL + "/api/add", {
+            userid: base, description: "jest hotel", category: "education", sum: 80
+        });
+        await asOwner.post(COSTS_URL + `/api/costs/${created.data.id}/reimbursement`, { status: "submitted", by: base });
+        const out = await requestSafe(asOther.post(COSTS_URL + `/api/costs/${created.data.id}/reimbursement`, {
+            status: "approved", by: base + 1
+        }));
+        expect([403, 404]).toContain(out.status);
+        assertErrorShape(out.data);
+
+        await axios.delete(USERS_URL + `/api/users/${base}?cascade=true`);
+        await axios.delete(USERS_URL + `/api/users/${base + 1}`);
+    });
+    /*
+     * Income & Balance:
+     * An income shows up in the month's balance and in the all-time total.
+     */
+    test("POST /api/income -> 201, report balance and total include it", async () => {
+        const created = await axios.post(COSTS_URL + "/api/income", {
+            userid: TEST_USER_ID, description: "jest salary", source: "Salary", sum: 1000,
+            createdAt: `${TEST_YEAR}-0${TEST_MONTH}-10`
+        });
+        expect(created.status).toBe(201);
+        expect(created.data).toMatchObject({ source: "salary", sum: 1000 });
+
+        const report = await axios.get(COSTS_URL + `/api/report?userid=${TEST_USER_ID}&year=${TEST_YEAR}&month=${TEST_MONTH}`);
+        const { income, expenses, net } = report.data.balance;
+        expect(income).toBeGreaterThanOrEqual(1000);
+        expect(net).toBeCloseTo(income - expenses, 2);
+
+        const total = await axios.get(COSTS_URL + `/api/total?userid=${TEST_USER_ID}`);
+        expect(total.data.expenses).toBe(total.data.total);
+        expect(total.data.net).toBeCloseTo(total.data.income - total.data.total, 2);
+
+        await axios.delete(COSTS_URL + `/api/income/${created.data.id}`);
+    });
+    /*
+     * Negative Test (Income):
+     * An income without a source is rejected like a cost without a category.
+     */
+    test("POST /api/income without source -> 400 {id,message}", async () => {
+        const out = await requestSafe(axios.post(COSTS_URL + "/api/income", {
+            userid: TEST_USER_ID, description: "jest salary", sum: 1000
+        }));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Savings Goals:
+     * A manual contribution counts towards the goal and the projection.
+     */
+    test("POST /api/goals + contribution -> projection", async () => {
+        const deadline = `${new Date().getFullYear() + 1}-12-31`;
+        const goal = await axios.post(COSTS_URL + "/api/goals", {
+            userid: TEST_USER_ID, name: "jest vacation", target: 5000, deadline
+        });
+        expect(goal.status).toBe(201);
+
+        const added = await axios.post(COSTS_URL + `/api/goals/${goal.data.id}/contributions`, { sum: 250, note: "jest" });
+        expect(added.status).toBe(201);
+        expect(added.data.contributions).toHaveLength(1);
+
+        const projection = await axios.get(COSTS_URL + `/api/goals/${goal.data.id}/projection`);
+        expect(projection.data).toMatchObject({ goalId: goal.data.id, target: 5000, manual: 250, saved: 250, remaining: 4750 });
+        expect(["on_track", "behind"]).toContain(projection.data.status);
+        expect(projection.data.monthsLeft).toBeGreaterThan(0);
+
+        await axios.delete(COSTS_URL + `/api/goals/${goal.data.id}`);
+    });
+    /*
+     * Savings Goals Without Income:
+     * A new user with no income is projected from their contributions,
+     * so a well funded goal is on track.
+     */
+    test("GET /api/goals/:id/projection without income -> on_track", async () => {
+        const user = await axios.post(USERS_URL + "/api/add", {
+            first_name: "Jest", last_name: "Saver", birthday: "1990-01-01", password: "jest-secret-1"
+        });
+        const deadline = `${new Date().getFullYear() + 1}-12-31`;
+        const goal = await axios.post(COSTS_URL + "/api/goals", {
+            userid: user.data.id, name: "jest no income", target: 100, deadline
+        });
+        await axios.post(COSTS_URL + `/api/goals/${goal.data.id}/contributions`, { sum: 60 });
+
+        const projection = await axios.get(COSTS_URL + `/api/goals/${goal.data.id}/projection`);
+        expect(projection.data.history.averageIncome).toBe(0);
+        expect(projection.data.pace).toEqual({ basis: "savings", perMonth: 60 });
+        expect(projection.data.status).toBe("on_track");
+
+        await axios.delete(COSTS_URL + `/api/goals/${goal.data.id}`);
+        await axios.delete(USERS_URL + `/api/users/${user.data.id}`);
+    });
+    /*
+     * Negative Test (Savings Goals):
+     * A deadline in the past is rejected.
+     */
+    test("POST /api/goals past deadline -> 400 {id,message}", async () => {
+        const out = await requestSafe(axios.post(COSTS_URL + "/api/goals", {
+            userid: TEST_USER_ID, name: "jest late", target: 100, deadline: "2020-01-31"
+        }));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Negative Test (Authentication):
+     * Requests without a token or API key are rejected.
+     */
+    test("GET /api/costs without credentials -> 401 {id,message}", async () => {
+        const anonymous = axios.create();
+        const out = await requestSafe(anonymous.get(COSTS_URL + `/api/costs?userid=${TEST_USER_ID}`));
+        expect(out.status).toBe(401);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Idempotent Retry:
+     * Sending the same cost twice with one Idempotency-Key adds it once.
+     */
+    test("POST /api/add retried with Idempotency-Key -> same cost", async () => {
+        const headers = { "Idempotency-Key": `jest-${Date.now()}` };
+        const payload = { userid: TEST_USER_ID, description: "retry", category: "food", sum: 3 };
+
+        const first = await axios.post(COSTS_URL + "/api/add", payload, { headers });
+        const retry = await axios.post(COSTS_URL + "/api/add", payload, { headers });
+        expect(retry.status).toBe(first.status);
+        expect(retry.data.id).toBe(first.data.id);
+        expect(retry.headers["idempotent-replayed"]).toBe("true");
+
+        await axios.delete(COSTS_URL + `/api/costs/${first.data.id}`);
+    });
+    /*
+     * Negative Test (Idempotency-Key Reuse):
+     * The same key with a different body is refused.
+     */
+    test("POST /api/add reused Idempotency-Key, other body -> 422 {id,message}", async () => {
+        const headers = { "Idempotency-Key": `jest-reuse-${Date.now()}` };
+        await requestSafe(axios.post(COSTS_URL + "/api/add", { userid: TEST_USER_ID }, { headers }));
+        const out = await requestSafe(axios.post(COSTS_URL + "/api/add", { userid: TEST_USER_ID, sum: 1 }, { headers }));
+        expect(out.status).toBe(422);
+        assertErrorShape(out.data);
+    });
 });
\ No newline at end of file
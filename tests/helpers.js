@@ -1,4 +1,17 @@
 const axios = require("axios");
+const { API_KEY } = require("./config");
+/*
+ * Test Credentials:
+ * Every request sent through the shared axios instance carries the API key,
+ * unless it already has a user token. Instances from axios.create() send
+ * nothing, which the authentication tests rely on.
+ */
+if (API_KEY) {
+    axios.interceptors.request.use(config => {
+        if (!config.headers.has("Authorization")) config.headers.set("X-API-Key", API_KEY);
+        return config;
+    });
+}
 /*
  * Service Availability Waiter:
  * Continuously polls a service's health endpoint to check if it's ready.
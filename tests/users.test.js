@@ -1,5 +1,5 @@
 const axios = require("axios");
-const { USERS_URL, TEST_USER_ID } = require("./config");
+const { USERS_URL, COSTS_URL, TEST_USER_ID } = require("./config");
 const { waitForService, requestSafe, assertErrorShape } = require("./helpers");
 /*
  * Users Service Test Suite:
@@ -80,4 +80,126 @@ describe("users-service", () => {
         expect(out.status).toBeGreaterThanOrEqual(400);
         assertErrorShape(out.data);
     });
+    /*
+     * Input Validation (Time Zone):
+     * Unknown IANA zone names are rejected.
+     */
+    test("POST /api/add unknown timezone -> 400 {id,message}", async () => {
+        const out = await requestSafe(axios.post(USERS_URL + "/api/add", {
+            id: 999998,
+            first_name: "Time",
+            last_name: "Zone",
+            birthday: "1990-01-01",
+            timezone: "Mars/Olympus"
+        }));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Edit, Soft Delete & Restore:
+     * A new user without costs goes through the whole lifecycle.
+     */
+    test("PATCH, soft DELETE, restore and DELETE /api/users/:id", async () => {
+        const id = 900000 + (Date.now() % 90000);
+        await axios.post(USERS_URL + "/api/add", {
+            id, first_name: "Jest", last_name: "Lifecycle", birthday: "1990-01-01"
+        });
+
+        const patched = await axios.patch(USERS_URL + `/api/users/${id}`, { first_name: "Jester" });
+        expect(patched.status).toBe(200);
+        expect(patched.data.first_name).toBe("Jester");
+
+        await axios.delete(USERS_URL + `/api/users/${id}?soft=true`);
+        const hidden = await requestSafe(axios.get(USERS_URL + `/api/users/${id}`));
+        expect(hidden.status).toBe(404);
+
+        const restored = await axios.post(USERS_URL + `/api/users/${id}/restore`);
+        expect(restored.status).toBe(200);
+
+        const deleted = await axios.delete(USERS_URL + `/api/users/${id}`);
+        expect(deleted.status).toBe(200);
+        const gone = await requestSafe(axios.get(USERS_URL + `/api/users/${id}`));
+        expect(gone.status).toBe(404);
+    });
+    /*
+     * Input Validation (Edit User):
+     * An edit is checked with the same rules as a new user.
+     */
+    test("PATCH /api/users/:id future birthday -> 400 {id,message}", async () => {
+        const out = await requestSafe(axios.patch(USERS_URL + `/api/users/${TEST_USER_ID}`, { birthday: "2999-01-01" }));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Login:
+     * A user logs in with a password and the token reaches only that user.
+     */
+    test("POST /api/login -> token for own data only", async () => {
+        const id = 800000 + (Date.now() % 90000);
+        await axios.post(USERS_URL + "/api/add", {
+            id, first_name: "Jest", last_name: "Login", birthday: "1990-01-01", password: "jest-secret-1"
+        });
+        const login = await axios.post(USERS_URL + "/api/login", { id, password: "jest-secret-1" });
+        expect(login.status).toBe(200);
+        expect(typeof login.data.token).toBe("string");
+
+        const asUser = axios.create({ headers: { Authorization: `Bearer ${login.data.token}` } });
+        const own = await asUser.get(USERS_URL + `/api/users/${id}`);
+        expect(own.status).toBe(200);
+        const other = await requestSafe(asUser.get(USERS_URL + `/api/users/${TEST_USER_ID}`));
+        expect(other.status).toBe(403);
+
+        await axios.delete(USERS_URL + `/api/users/${id}`);
+    });
+    /*
+     * Negative Test (Login):
+     * A wrong password gets 401.
+     */
+    test("POST /api/login wrong password -> 401 {id,message}", async () => {
+        const out = await requestSafe(axios.post(USERS_URL + "/api/login", { id: TEST_USER_ID, password: "not-the-password" }));
+        expect(out.status).toBe(401);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Preferences:
+     * A budgeting month starting on the 25th and preferred categories
+     * shape the user's monthly report in costs-service.
+     */
+    test("POST /api/add with preferences -> report follows them", async () => {
+        const id = 600000 + (Date.now() % 90000);
+        const created = await axios.post(USERS_URL + "/api/add", {
+            id, first_name: "Jest", last_name: "Prefs", birthday: "1990-01-01",
+            timezone: "UTC", locale: "en-gb", month_start_day: 25, report_categories: ["education", "food"]
+        });
+        expect(created.status).toBe(201);
+        expect(created.data.locale).toBe("en-GB");
+
+        const report = await axios.get(COSTS_URL + `/api/report?userid=${id}&year=2026&month=3`);
+        expect(report.data.period).toEqual({ from: "2026-02-25", to: "2026-03-24" });
+        expect(Object.keys(report.data.costs[0])[0]).toBe("education");
+
+        await axios.delete(USERS_URL + `/api/users/${id}`);
+    });
+    /*
+     * Negative Test (Preferences):
+     * A budgeting month cannot start after the 28th.
+     */
+    test("PATCH /api/users/:id month_start_day 31 -> 400 {id,message}", async () => {
+        const out = await requestSafe(axios.patch(USERS_URL + `/api/users/${TEST_USER_ID}`, { month_start_day: 31 }));
+        expect(out.status).toBe(400);
+        assertErrorShape(out.data);
+    });
+    /*
+     * Generated Id:
+     * Without an id the service issues one.
+     */
+    test("POST /api/add without id -> 201 with a generated id", async () => {
+        const res = await axios.post(USERS_URL + "/api/add", {
+            first_name: "Jest", last_name: "Generated", birthday: "1990-01-01"
+        });
+        expect(res.status).toBe(201);
+        expect(Number.isInteger(res.data.id)).toBe(true);
+
+        await axios.delete(USERS_URL + `/api/users/${res.data.id}`);
+    });
 });
\ No newline at end of file
@@ -4,19 +4,28 @@ require('dotenv').config();
  * - express: Web framework for the API.
  * - mongoose: ODM for MongoDB interaction.
  * - axios: HTTP client for communicating with other microservices.
+ * - crypto: password hashing (scrypt).
+ * - auth: shared API key / JWT authentication (costmanager-shared, see ../shared/auth.js).
+ * - idempotent: Idempotency-Key support for retried POSTs (costmanager-shared, see ../shared/idempotency.js).
  */
 const express = require('express');
 const mongoose = require('mongoose');
 const axios = require('axios');
+const crypto = require('crypto');
+const auth = require('costmanager-shared/auth');
+const { idempotent } = require('costmanager-shared/idempotency');
 /*
  * users-service
  * Responsibilities:
- * - Manage users collection.
+ * - Manage users collection (create, update, delete, restore).
+ * - Manage roles and disabled accounts (admins).
  * - Retrieve user details.
  * - Fetch total user costs by calling costs-service.
+ * - Log users in (signed JWTs) for all services.
  * - Send logs to logs-service.
  */
 const User = require('./models/User');
+const IdempotencyKey = require('costmanager-shared/models/IdempotencyKey')(mongoose);
 /*
  * App Initialization:
  * Create the Express app and configure middleware
@@ -24,6 +33,12 @@ const User = require('./models/User');
  */
 const app = express();
 app.use(express.json());
+/*
+ * Authentication:
+ * Signing up and logging in are open; everything else needs a user
+ * token or a service API key (see ../shared/auth.js).
+ */
+app.use(auth.authenticate({ publicRoutes: ['GET /health', 'POST /api/add', 'POST /api/login'] }));
 /*
  * writeLog Helper:
  * Asynchronously sends logs to the central logs-service.
@@ -41,7 +56,7 @@ const writeLog = async (method, endpoint, status) => {
             endpoint,
             status,
             timestamp: new Date()
-        });
+        }, { headers: auth.serviceHeaders() });
     } catch (e) {
         /* Do not crash the service if logs-service is unavailable */
     }
@@ -59,6 +74,216 @@ mongoose
     .catch((err) => {
         console.error('MongoDB connection error (users-service):', err);
     });
+/*
+ * Time Zone Check:
+ * True when Intl knows the IANA zone name.
+ */
+function isTimeZone(name) {
+    if (typeof name !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: name });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+/*
+ * Locale Check:
+ * Returns the canonical form of a BCP 47 tag (e.g. 'he-il' -> 'he-IL'),
+ * or null when Intl rejects it.
+ */
+function canonicalLocale(tag) {
+    if (typeof tag !== 'string' || tag.trim() === '') return null;
+    try {
+        return Intl.getCanonicalLocales(tag.trim())[0] || null;
+    } catch (e) {
+        return null;
+    }
+}
+/*
+ * Birthday Parsing:
+ * Accepts an existing calendar day as YYYY-MM-DD and returns it at
+ * midnight UTC, or null when the value is malformed or does not exist.
+ */
+function parseBirthday(input) {
+    const m = typeof input === 'string' ? input.match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+    if (!m) return null;
+
+    const date = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+    return date.toISOString().slice(0, 10) === input ? date : null;
+}
+/*
+ * Password Hashing:
+ * scrypt with a random salt per password, stored as "salt:hash" (hex).
+ */
+const PASSWORD_MIN = 8;
+const PASSWORD_MAX = 128;
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 64);
+    return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+function checkPassword(password, stored) {
+    if (typeof password !== 'string' || !stored) return false;
+    const [salt, hash] = stored.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+/*
+ * Access Check:
+ * A user may only see and change their own profile; admins and services
+ * may see and change all, auditors may see all (see auth.canAccessUser).
+ */
+async function denyOtherUser(req, res, method, endpoint, userId) {
+    if (auth.canAccessUser(req, userId)) return false;
+    await writeLog(method, endpoint, 403);
+    res.status(403).json({ id: 403, message: 'You can only access your own user' });
+    return true;
+}
+/*
+ * Profile Limits:
+ * Longest email address, and the size of the report category list.
+ */
+const EMAIL_MAX = 254;
+const REPORT_CATEGORIES_MAX = 20;
+const CATEGORY_MAX = 50;
+/*
+ * Email Conflict:
+ * True when a duplicate key error (11000) comes from the email index.
+ */
+function isEmailConflict(err) {
+    return Boolean(err && err.code === 11000 && err.keyPattern && err.keyPattern.email);
+}
+/*
+ * Profile Validation:
+ * Shared by POST /api/add and PATCH /api/users/:id. When 'partial' is true
+ * only the fields present in the body are checked. An empty optional field
+ * (currency, timezone, email, locale, month_start_day, report_categories)
+ * clears it (returned as null); a password comes back hashed.
+ * Returns { ok: true, fields } or { ok: false, message }.
+ */
+function validateUserFields(body, partial = false) {
+    const src = body || {};
+    const wants = key => !partial || src[key] !== undefined;
+    const fields = {};
+    /*
+     * Validation - Missing Fields:
+     * Names and birthday are required on creation and cannot be emptied.
+     */
+    if (!partial && (!src.first_name || !src.last_name || !src.birthday)) {
+        return { ok: false, message: 'Missing required fields' };
+    }
+    for (const key of ['first_name', 'last_name']) {
+        if (!wants(key)) continue;
+        if (!src[key] || (typeof src[key] === 'string' && src[key].trim() === '')) {
+            return { ok: false, message: `${key} cannot be empty` };
+        }
+        fields[key] = src[key];
+    }
+    /*
+     * Validation - Currency:
+     * Optional default currency, a three-letter code such as USD.
+     */
+    if (wants('currency')) {
+        const { currency } = src;
+        if (currency != null && currency !== '' &&
+            (typeof currency !== 'string' || !/^[A-Za-z]{3}$/.test(currency))) {
+            return { ok: false, message: 'currency must be a 3-letter code' };
+        }
+        fields.currency = currency || null;
+    }
+    /*
+     * Validation - Time Zone:
+     * Optional IANA zone name; Intl rejects names it does not know.
+     */
+    if (wants('timezone')) {
+        const { timezone } = src;
+        if (timezone != null && timezone !== '' && !isTimeZone(timezone)) {
+            return { ok: false, message: 'timezone must be an IANA time zone (e.g. Asia/Jerusalem)' };
+        }
+        fields.timezone = timezone || null;
+    }
+    /*
+     * Validation - Email:
+     * Optional; a plain shape check (something@domain.tld), stored lowercase.
+     */
+    if (wants('email')) {
+        const { email } = src;
+        if (email != null && email !== '' &&
+            (typeof email !== 'string' || email.length > EMAIL_MAX || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))) {
+            return { ok: false, message: 'email must be a valid address' };
+        }
+        fields.email = email ? email.toLowerCase() : null;
+    }
+    /*
+     * Validation - Locale:
+     * Optional BCP 47 tag, stored in its canonical form.
+     */
+    if (wants('locale')) {
+        const { locale } = src;
+        const canonical = canonicalLocale(locale);
+        if (locale != null && locale !== '' && !canonical) {
+            return { ok: false, message: 'locale must be a language tag (e.g. en-US)' };
+        }
+        fields.locale = canonical;
+    }
+    /*
+     * Validation - Budgeting Month:
+     * Optional day (1-28) the user's budgeting month starts on; 28 is the
+     * last day every month has.
+     */
+    if (wants('month_start_day')) {
+        const day = src.month_start_day;
+        if (day != null && day !== '' && (!Number.isInteger(Number(day)) || Number(day) < 1 || Number(day) > 28)) {
+            return { ok: false, message: 'month_start_day must be a whole number from 1 to 28' };
+        }
+        fields.month_start_day = (day == null || day === '') ? null : Number(day);
+    }
+    /*
+     * Validation - Report Categories:
+     * Optional list of category names shown first in the monthly report.
+     * Names are trimmed and duplicates dropped; an empty list clears it.
+     */
+    if (wants('report_categories')) {
+        const list = src.report_categories;
+        if (list != null && (!Array.isArray(list) || list.length > REPORT_CATEGORIES_MAX ||
+            list.some(c => typeof c !== 'string' || c.trim() === '' || c.trim().length > CATEGORY_MAX))) {
+            return {
+                ok: false,
+                message: `report_categories must be a list of up to ${REPORT_CATEGORIES_MAX} category names`
+            };
+        }
+        const names = list ? [...new Set(list.map(c => c.trim()))] : [];
+        fields.report_categories = names.length ? names : null;
+    }
+    /*
+     * Date Handling:
+     * A birthday is a calendar day, not an instant: it is stored at
+     * midnight UTC so no time zone can shift it to the previous day.
+     * A user cannot be born after the current date.
+     */
+    if (wants('birthday')) {
+        const birthDate = parseBirthday(src.birthday);
+        if (!birthDate) return { ok: false, message: 'Invalid birthday format. Use YYYY-MM-DD' };
+        if (birthDate > new Date()) return { ok: false, message: 'Birthday cannot be in the future' };
+        fields.birthday = birthDate;
+    }
+    /*
+     * Validation - Password:
+     * Optional; needed to log in. Returned as a hash, never stored in clear.
+     */
+    if (src.password !== undefined) {
+        const { password } = src;
+        if (typeof password !== 'string' || password.length < PASSWORD_MIN || password.length > PASSWORD_MAX) {
+            return { ok: false, message: `password must be ${PASSWORD_MIN}-${PASSWORD_MAX} characters` };
+        }
+        fields.passwordHash = hashPassword(password);
+    }
+    return { ok: true, fields };
+}
 /*
  * GET /health
  * Health Check Endpoint:
@@ -73,18 +298,22 @@ app.get('/health', (req, res) => {
  * User Creation:
  * Entry point for adding new users to the database.
  * Requires strict validation of input fields.
+ * Without an 'id' the service issues the next free one (see the User model).
+ * An Idempotency-Key header makes a retried request return the first
+ * response instead of creating the user twice.
  */
-app.post('/api/add', async (req, res) => {
+app.post('/api/add', idempotent(IdempotencyKey), async (req, res) => {
     try {
-        const { id, first_name, last_name, birthday } = req.body || {};
+        const { id } = req.body || {};
         /*
          * Validation - ID:
-         * Ensure the ID is a valid non-negative number.
+         * Optional; when given, ensure the ID is a valid positive number.
          * Returns 400 Bad Request if validation fails.
          */
-        const idNum = Number(id);
+        const generated = id === undefined || id === null || id === '';
+        const idNum = generated ? undefined : Number(id);
 
-        if (Number.isNaN(idNum) || idNum < 1) {
+        if (!generated && (Number.isNaN(idNum) || idNum < 1)) {
             await writeLog('POST', '/api/add', 400);
             return res.status(400).json({
                 id: 400,
@@ -92,41 +321,16 @@ app.post('/api/add', async (req, res) => {
             });
         }
         /*
-         * Validation - Missing Fields:
-         * Check if any required field is undefined or empty.
-         * We need id, names, and birthday to proceed.
-         */
-        if (!id || !first_name || !last_name || !birthday) {
-            await writeLog('POST', '/api/add', 400);
-            return res.status(400).json({
-                id: 400,
-                message: 'Missing required fields'
-            });
-        }
-        /*
-         * Date Handling:
-         * Append a specific time (T12:00:00) to the date string to prevent
-         * timezone offsets from shifting the date to the previous day.
+         * Validation - Profile Fields:
+         * Names, birthday, currency and time zone (see validateUserFields).
          */
-        const birthDate = new Date(birthday + 'T12:00:00');
+        const input = validateUserFields(req.body);
 
-        if (Number.isNaN(birthDate.getTime())) {
-            /*
-         * Validation - Future Date:
-         * Check if the provided birthday is in the future.
-         * A user cannot be born after the current date.
-         */
-            if (birthDate > new Date()) {
-                await writeLog('POST', '/api/add', 400);
-                return res.status(400).json({
-                    id: 400,
-                    message: 'Birthday cannot be in the future'
-                });
-            }
+        if (!input.ok) {
             await writeLog('POST', '/api/add', 400);
             return res.status(400).json({
                 id: 400,
-                message: 'Invalid birthday format. Use YYYY-MM-DD'
+                message: input.message
             });
         }
         /*
@@ -134,12 +338,13 @@ app.post('/api/add', async (req, res) => {
          * Create the user document in MongoDB.
          * If successful, return 201 Created.
          */
-        const user = await User.create({
-            id: idNum,
-            first_name,
-            last_name,
-            birthday: birthDate
+        const profile = {};
+        Object.entries(input.fields).forEach(([key, value]) => {
+            if (value !== null) profile[key] = value;
         });
+        const user = generated
+            ? await User.createWithGeneratedId(profile)
+            : await User.create({ id: idNum, ...profile });
 
         await writeLog('POST', '/api/add', 201);
         return res.status(201).json(user);
@@ -147,14 +352,15 @@ app.post('/api/add', async (req, res) => {
     } catch (err) {
         /*
          * Duplicate Key Error:
-         * Code 11000 indicates a unique index violation (duplicate ID).
+         * Code 11000 indicates a unique index violation (duplicate ID,
+         * or an email another user already has).
          * Return 409 Conflict in this specific case.
          */
         if (err && err.code === 11000) {
             await writeLog('POST', '/api/add', 409);
             return res.status(409).json({
                 id: 409,
-                message: 'User already exists'
+                message: isEmailConflict(err) ? 'Email already in use' : 'User already exists'
             });
         }
 
@@ -170,11 +376,14 @@ app.post('/api/add', async (req, res) => {
  * GET /api/users
  * Bulk Retrieval:
  * Fetches all user documents from the collection.
+ * Soft-deleted users are left out unless includeDeleted=true.
+ * Only admins, auditors and services may list every user.
  * Uses .lean() for better performance (returns plain JS objects).
  */
-app.get('/api/users', async (req, res) => {
+app.get('/api/users', auth.requireRole('admin', 'auditor'), async (req, res) => {
     try {
-        const users = await User.find().lean();
+        const filter = req.query.includeDeleted === 'true' ? {} : { deletedAt: null };
+        const users = await User.find(filter).lean();
         await writeLog('GET', '/api/users', 200);
         return res.json(users);
     } catch (err) {
@@ -196,8 +405,9 @@ app.get('/api/users/:id', async (req, res) => {
             await writeLog('GET', '/api/users/:id', 400);
             return res.status(400).json({ id: 400, message: 'Invalid user id' });
         }
-        /* Fetch user from database */
-        const user = await User.findOne({ id: userId }).lean();
+        if (await denyOtherUser(req, res, 'GET', '/api/users/:id', userId)) return;
+        /* Fetch user from database (a soft-deleted user is not found) */
+        const user = await User.findOne({ id: userId, deletedAt: null }).lean();
         if (!user) {
             await writeLog('GET', '/api/users/:id', 404);
             return res.status(404).json({ id: 1, message: 'User not found' });
@@ -214,10 +424,13 @@ app.get('/api/users/:id', async (req, res) => {
         /*
          * Aggregation Logic:
          * Call costs-service to get the sum of expenses for this user.
-         * We use a specific endpoint designed for total calculation.
+         * We use a specific endpoint designed for total calculation,
+         * asking for the total in the user's default currency if set
+         * (costs-service falls back to its base currency when it has no rate for it).
          */
         const totalResponse = await axios.get(process.env.COSTS_URL + '/api/total', {
-            params: { userid: userId }
+            params: { userid: userId, defaultCurrency: user.currency },
+            headers: auth.serviceHeaders()
         });
 
         const total = Number(totalResponse.data && totalResponse.data.total) || 0;
@@ -225,13 +438,23 @@ app.get('/api/users/:id', async (req, res) => {
         await writeLog('GET', '/api/users/:id', 200);
         /*
          * Response Composition:
-         * Merge local user data with the fetched total cost.
+         * Merge local user data with the fetched total cost. 'currency' is
+         * the user's own default; 'totalCurrency' is the one the total is in.
          */
         return res.json({
             id: user.id,
             first_name: user.first_name,
             last_name: user.last_name,
-            total: total
+            currency: user.currency,
+            timezone: user.timezone,
+            email: user.email,
+            locale: user.locale,
+            month_start_day: user.month_start_day,
+            report_categories: user.report_categories,
+            role: user.role || 'user',
+            disabled: Boolean(user.disabledAt),
+            total: total,
+            totalCurrency: totalResponse.data && totalResponse.data.currency
         });
     } catch (err) {
         /* Handle unexpected errors: log the failure and return HTTP 500 */
@@ -239,6 +462,300 @@ app.get('/api/users/:id', async (req, res) => {
         return res.status(500).json({ id: 2, message: err.message });
     }
 });
+/*
+ * POST /api/login
+ * User Login:
+ * Checks { id, password } and returns a signed token ({ token, expiresIn })
+ * accepted by every service as 'Authorization: Bearer <token>'.
+ * Unknown users, deleted users and wrong passwords get the same 401; a
+ * disabled account gets 403. The token carries the user's role.
+ */
+app.post('/api/login', async (req, res) => {
+    try {
+        const { id, password } = req.body || {};
+        const userId = Number(id);
+
+        if (Number.isNaN(userId) || typeof password !== 'string') {
+            await writeLog('POST', '/api/login', 400);
+            return res.status(400).json({ id: 400, message: 'id and password are required' });
+        }
+        const user = await User.findOne({ id: userId, deletedAt: null }).select('+passwordHash');
+
+        if (!user || !checkPassword(password, user.passwordHash)) {
+            await writeLog('POST', '/api/login', 401);
+            return res.status(401).json({ id: 401, message: 'Invalid id or password' });
+        }
+        if (user.disabledAt) {
+            await writeLog('POST', '/api/login', 403);
+            return res.status(403).json({ id: 403, message: 'Account is disabled' });
+        }
+        const issued = auth.signToken(user.id, { role: user.role || 'user' });
+
+        await writeLog('POST', '/api/login', 200);
+        return res.json({ id: user.id, ...issued });
+    } catch (err) {
+        await writeLog('POST', '/api/login', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * PATCH /api/users/:id
+ * Profile Update:
+ * Changes only the fields that were sent (first_name, last_name, birthday,
+ * currency, timezone, email, locale, month_start_day, report_categories,
+ * password), with the same rules as POST /api/add. An empty optional field
+ * removes it. The id cannot be changed.
+ */
+app.patch('/api/users/:id', async (req, res) => {
+    try {
+        const userId = Number(req.params.id);
+
+        if (Number.isNaN(userId)) {
+            await writeLog('PATCH', '/api/users/:id', 400);
+            return res.status(400).json({ id: 400, message: 'Invalid user id' });
+        }
+        if (await denyOtherUser(req, res, 'PATCH', '/api/users/:id', userId)) return;
+        const body = req.body || {};
+        if (body.id !== undefined && Number(body.id) !== userId) {
+            await writeLog('PATCH', '/api/users/:id', 400);
+            return res.status(400).json({ id: 400, message: 'id cannot be changed' });
+        }
+        const input = validateUserFields(body, true);
+
+        if (!input.ok) {
+            await writeLog('PATCH', '/api/users/:id', 400);
+            return res.status(400).json({ id: 400, message: input.message });
+        }
+        if (Object.keys(input.fields).length === 0) {
+            await writeLog('PATCH', '/api/users/:id', 400);
+            return res.status(400).json({ id: 400, message: 'No fields to update' });
+        }
+        const user = await User.findOne({ id: userId, deletedAt: null });
+        if (!user) {
+            await writeLog('PATCH', '/api/users/:id', 404);
+            return res.status(404).json({ id: 404, message: 'User not found' });
+        }
+        /*
+         * Apply Changes:
+         * null (an emptied optional field) removes it.
+         */
+        Object.entries(input.fields).forEach(([key, value]) => {
+            user.set(key, value === null ? undefined : value);
+        });
+        await user.save();
+
+        await writeLog('PATCH', '/api/users/:id', 200);
+        return res.json(user);
+    } catch (err) {
+        if (isEmailConflict(err)) {
+            await writeLog('PATCH', '/api/users/:id', 409);
+            return res.status(409).json({ id: 409, message: 'Email already in use' });
+        }
+        await writeLog('PATCH', '/api/users/:id', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * Cost Data Check (Microservice Call):
+ * True when costs-service still has at least one cost of the user.
+ */
+async function userHasCosts(userId) {
+    const response = await axios.get(process.env.COSTS_URL + '/api/costs', {
+        params: { userid: userId, limit: 1 },
+        headers: auth.serviceHeaders()
+    });
+    return Boolean(response.data && response.data.costs && response.data.costs.length > 0);
+}
+/*
+ * DELETE /api/users/:id
+ * User Deletion:
+ * - soft=true: hides the user (see POST /api/users/:id/restore); the costs stay.
+ * - cascade=true: removes the user's costs, reports and other data in
+ *   costs-service first, then the user.
+ * - otherwise the user is removed only when no costs exist (409 if they do).
+ * Soft-deleted users can still be removed for good with a plain or cascading delete.
+ */
+app.delete('/api/users/:id', async (req, res) => {
+    try {
+        const userId = Number(req.params.id);
+
+        if (Number.isNaN(userId)) {
+            await writeLog('DELETE', '/api/users/:id', 400);
+            return res.status(400).json({ id: 400, message: 'Invalid user id' });
+        }
+        if (await denyOtherUser(req, res, 'DELETE', '/api/users/:id', userId)) return;
+        const soft = req.query.soft === 'true';
+        const cascade = req.query.cascade === 'true';
+
+        if (soft && cascade) {
+            await writeLog('DELETE', '/api/users/:id', 400);
+            return res.status(400).json({ id: 400, message: 'soft and cascade cannot be combined' });
+        }
+        const user = await User.findOne({ id: userId });
+        if (!user || (soft && user.deletedAt)) {
+            await writeLog('DELETE', '/api/users/:id', 404);
+            return res.status(404).json({ id: 404, message: 'User not found' });
+        }
+        /*
+         * Soft Delete:
+         * Only marks the user; everything else is kept for a restore.
+         */
+        if (soft) {
+            user.deletedAt = new Date();
+            await user.save();
+
+            await writeLog('DELETE', '/api/users/:id', 200);
+            return res.json(user);
+        }
+        if (!process.env.COSTS_URL) {
+            await writeLog('DELETE', '/api/users/:id', 500);
+            return res.status(500).json({ id: 2, message: 'COSTS_URL is not configured' });
+        }
+        /*
+         * Cost Data:
+         * Cascade removes it in costs-service before the user goes, so a
+         * failure there leaves the user in place to retry; without cascade
+         * existing costs block the deletion.
+         */
+        let removed;
+        if (cascade) {
+            const cleanup = await axios.delete(process.env.COSTS_URL + `/api/users/${userId}/costs`, {
+                headers: auth.serviceHeaders()
+            });
+            removed = cleanup.data && cleanup.data.removed;
+        } else if (await userHasCosts(userId)) {
+            await writeLog('DELETE', '/api/users/:id', 409);
+            return res.status(409).json({
+                id: 409,
+                message: 'User has costs; delete with cascade=true to remove them or soft=true to keep them'
+            });
+        }
+        await user.deleteOne();
+
+        await writeLog('DELETE', '/api/users/:id', 200);
+        return res.json({ ...user.toJSON(), ...(removed && { removed }) });
+    } catch (err) {
+        await writeLog('DELETE', '/api/users/:id', 500);
+        return res.status(500).json({ id: 2, message: err.message });
+    }
+});
+/*
+ * POST /api/users/:id/restore
+ * Undoes a soft delete. Returns 409 when the user is not deleted.
+ */
+app.post('/api/users/:id/restore', async (req, res) => {
+    try {
+        const userId = Number(req.params.id);
+
+        if (Number.isNaN(userId)) {
+            await writeLog('POST', '/api/users/:id/restore', 400);
+            return res.status(400).json({ id: 400, message: 'Invalid user id' });
+        }
+        if (await denyOtherUser(req, res, 'POST', '/api/users/:id/restore', userId)) return;
+        const user = await User.findOne({ id: userId });
+        if (!user) {
+            await writeLog('POST', '/api/users/:id/restore', 404);
+            return res.status(404).json({ id: 404, message: 'User not found' });
+        }
+        if (!user.deletedAt) {
+            await writeLog('POST', '/api/users/:id/restore', 409);
+            return res.status(409).json({ id: 409, message: 'User is not deleted' });
+        }
+        user.deletedAt = null;
+        await user.save();
+
+        await writeLog('POST', '/api/users/:id/restore', 200);
+        return res.json(user);
+    } catch (err) {
+        await writeLog('POST', '/api/users/:id/restore', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * Admin Target Lookup:
+ * Shared by the role and account endpoints below: parses :id and loads the
+ * user (soft-deleted ones too). Admins cannot apply these to themselves, so
+ * the last admin cannot lock everyone out.
+ * Returns { ok: true, user } or { ok: false, status, message }.
+ */
+async function findManagedUser(req) {
+    const userId = Number(req.params.id);
+    if (Number.isNaN(userId)) return { ok: false, status: 400, message: 'Invalid user id' };
+    if (req.auth.userid === userId) {
+        return { ok: false, status: 409, message: 'You cannot change your own role or account status' };
+    }
+    const user = await User.findOne({ id: userId });
+    if (!user) return { ok: false, status: 404, message: 'User not found' };
+    return { ok: true, user };
+}
+/*
+ * PUT /api/users/:id/role
+ * Role Change (admins only):
+ * Sets { role } to 'user', 'auditor' or 'admin'. The new role applies from
+ * the user's next login, when a token with it is issued.
+ */
+app.put('/api/users/:id/role', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const role = req.body && req.body.role;
+        if (!auth.ROLES.includes(role)) {
+            await writeLog('PUT', '/api/users/:id/role', 400);
+            return res.status(400).json({ id: 400, message: `role must be one of: ${auth.ROLES.join(', ')}` });
+        }
+        const lookup = await findManagedUser(req);
+        if (!lookup.ok) {
+            await writeLog('PUT', '/api/users/:id/role', lookup.status);
+            return res.status(lookup.status).json({ id: lookup.status, message: lookup.message });
+        }
+        lookup.user.role = role;
+        await lookup.user.save();
+
+        await writeLog('PUT', '/api/users/:id/role', 200);
+        return res.json(lookup.user);
+    } catch (err) {
+        await writeLog('PUT', '/api/users/:id/role', 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+});
+/*
+ * Account Status Helper:
+ * Disables or enables the :id user for the two routes below. Returns 409
+ * when the account already has the requested status.
+ */
+async function setDisabled(req, res, disable) {
+    const endpoint = `/api/users/:id/${disable ? 'disable' : 'enable'}`;
+    try {
+        const lookup = await findManagedUser(req);
+        if (!lookup.ok) {
+            await writeLog('POST', endpoint, lookup.status);
+            return res.status(lookup.status).json({ id: lookup.status, message: lookup.message });
+        }
+        const { user } = lookup;
+        if (Boolean(user.disabledAt) === disable) {
+            await writeLog('POST', endpoint, 409);
+            return res.status(409).json({ id: 409, message: `User is already ${disable ? 'disabled' : 'enabled'}` });
+        }
+        user.disabledAt = disable ? new Date() : null;
+        await user.save();
+
+        await writeLog('POST', endpoint, 200);
+        return res.json(user);
+    } catch (err) {
+        await writeLog('POST', endpoint, 500);
+        return res.status(500).json({ id: 1, message: err.message });
+    }
+}
+/*
+ * POST /api/users/:id/disable
+ * Account Disabling (admins only):
+ * A disabled user cannot log in and gets no new costs; tokens issued
+ * before stay valid until they expire (JWT_TTL).
+ */
+app.post('/api/users/:id/disable', auth.requireRole('admin'), (req, res) => setDisabled(req, res, true));
+/*
+ * POST /api/users/:id/enable
+ * Re-enables a disabled account (admins only).
+ */
+app.post('/api/users/:id/enable', auth.requireRole('admin'), (req, res) => setDisabled(req, res, false));
 /*
  * Server Startup:
  * Listen on the configured port (default 3000).
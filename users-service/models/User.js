@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Counter = require('costmanager-shared/models/Counter')(mongoose);
+const { ROLES } = require('costmanager-shared/auth');
 /*
  * User Model Definition:
  * Represents a user entity within the system.
@@ -10,6 +12,7 @@ const userSchema = new mongoose.Schema({
      * Custom ID:
      * A unique numerical identifier for the user.
      * Required and must be unique across the collection to prevent duplicates.
+     * Chosen by the client or, when left out, issued by the service.
      */
     id: {
         type: Number,
@@ -31,12 +34,148 @@ const userSchema = new mongoose.Schema({
     },
     /*
      * Date of Birth:
-     * Stored as a standard Date object.
-     * This allows for easy age calculation and formatting later on.
+     * Stored as a standard Date object at midnight UTC of the calendar day,
+     * so the day never shifts with the server's time zone.
      */
     birthday: {
         type: Date,
         required: true
+    },
+    /*
+     * Default Currency:
+     * Optional three-letter code. costs-service returns this user's
+     * reports and totals in it unless another currency is requested.
+     */
+    currency: {
+        type: String,
+        uppercase: true
+    },
+    /*
+     * Time Zone:
+     * Optional IANA zone name (e.g. Asia/Jerusalem). costs-service uses it
+     * for the calendar day of this user's costs and their month boundaries.
+     */
+    timezone: {
+        type: String
+    },
+    /*
+     * Email:
+     * Optional contact address, stored lowercase and unique among the
+     * users that have one.
+     */
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    /*
+     * Locale:
+     * Optional BCP 47 tag (e.g. he-IL) used to format amounts in statements.
+     */
+    locale: {
+        type: String
+    },
+    /*
+     * Budgeting Month:
+     * Day of the month (1-28) a budgeting month starts on, e.g. 25 for a
+     * payday on the 25th. costs-service lays the monthly report over it.
+     */
+    month_start_day: {
+        type: Number,
+        min: 1,
+        max: 28
+    },
+    /*
+     * Report Categories:
+     * Categories the user wants at the top of the monthly report, in order.
+     */
+    report_categories: {
+        type: [String],
+        default: undefined
+    },
+    /*
+     * Soft Delete:
+     * Set when the user was deleted with soft=true. Such a user is hidden
+     * from the API (and so cannot get new costs) until restored.
+     */
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    /*
+     * Role:
+     * 'user', 'auditor' (reads every user's data) or 'admin' (reads and
+     * changes everything). Put into the token at login, see ../shared/auth.js.
+     */
+    role: {
+        type: String,
+        enum: ROLES,
+        default: 'user'
+    },
+    /*
+     * Disabled Account:
+     * Set by an admin. A disabled user cannot log in or get new costs,
+     * but stays visible to admins and keeps their data.
+     */
+    disabledAt: {
+        type: Date,
+        default: null
+    },
+    /*
+     * Password:
+     * scrypt hash ("salt:hash", hex) of the password used with POST /api/login.
+     * Never selected unless asked for, and removed from JSON output.
+     * Users created before logins existed have none until one is set.
+     */
+    passwordHash: {
+        type: String,
+        select: false
+    }
+});
+/*
+ * ID Generation Hook:
+ * A new user without an id gets the next value of the 'users' sequence.
+ * The sequence is first raised to the highest id in use, so generated ids
+ * never collide with ids chosen by clients (and are never reused).
+ */
+userSchema.pre('validate', async function () {
+    if (this.isNew && this.id == null) {
+        const last = await this.constructor.findOne().sort({ id: -1 }).select('id').lean();
+        await Counter.updateOne({ _id: 'users' }, { $max: { seq: last ? last.id : 0 } }, { upsert: true });
+        this.id = await Counter.next('users');
+    }
+});
+/*
+ * Create With A Generated Id:
+ * A client may take an id between the hook's read and the insert; the
+ * insert then fails on the id index and is retried with a fresh id (the
+ * hook raises the sequence past the taken one first).
+ */
+const GENERATED_ID_ATTEMPTS = 5;
+
+userSchema.statics.createWithGeneratedId = async function (fields) {
+    for (let attempt = 1; ; attempt += 1) {
+        try {
+            return await this.create({ ...fields, id: undefined });
+        } catch (err) {
+            const idTaken = err && err.code === 11000 && err.keyPattern && err.keyPattern.id;
+            if (!idTaken || attempt >= GENERATED_ID_ATTEMPTS) throw err;
+        }
+    }
+};
+/*
+ * Email Index:
+ * Unique only among users that have an email.
+ */
+userSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { email: { $type: 'string' } } });
+/*
+ * Data Sanitization (JSON):
+ * The password hash never leaves the service.
+ */
+userSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.passwordHash;
+        return ret;
     }
 });
 /*